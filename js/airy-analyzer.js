@@ -0,0 +1,364 @@
+/**
+ * AiryAnalyzer - Measures the radial profile and first ring symmetry of an in-focus star
+ */
+class AiryAnalyzer {
+    constructor() {
+        this.maxFrameSize = 400; // Resolution of the search for the star; the star itself is sampled natively
+        this.settings = {
+            minContrast: 30,       // Min peak brightness above background for a star to be found
+            roiRadius: 32,         // Half size of the analyzed area around the star, in camera pixels
+            centroidRadius: 6,     // Window radius of the centroid, in camera pixels
+            centroidLevel: 0.2,    // Pixels below this fraction of the peak are ignored by the centroid
+            centroidIterations: 8,
+            binSize: 0.5,          // Radial profile resolution in camera pixels
+            minRingContrast: 0.005, // Min ring height above the first minimum (fraction of the peak)
+            sectorCount: 12,       // Angular sectors for the ring symmetry
+            saturationLevel: 250,
+            plotFloor: 0.001       // Lowest profile value shown on the log plot
+        };
+    }
+
+    /**
+     * Find the brightest star, measure its profile and ring symmetry
+     */
+    analyze(context) {
+        const { frame, frameGrabber, sourceScale } = context;
+        const peak = this.findBrightestPoint(frame);
+
+        if (!peak) {
+            return { found: false };
+        }
+
+        // Re-grab the area around the star at the camera resolution
+        const peakCenter = frameGrabber.toContentPoint(frame, peak.x, peak.y);
+        const halfSize = this.settings.roiRadius / sourceScale;
+        const roi = frameGrabber.grabFrame({
+            region: { x: peakCenter.x - halfSize, y: peakCenter.y - halfSize, width: halfSize * 2, height: halfSize * 2 },
+            native: true
+        });
+
+        if (!roi) {
+            return { found: false };
+        }
+
+        const gray = ImageUtils.toGrayscale(roi.imageData);
+        const background = ImageUtils.getPercentile(gray, 0.5);
+        const center = this.findCentroid(gray, roi.width, roi.height, background);
+
+        if (!center) {
+            return { found: false };
+        }
+
+        const profile = this.getRadialProfile(gray, roi.width, roi.height, center, background);
+        const ring = this.findFirstRing(profile);
+        const symmetry = ring ? this.measureSymmetry(gray, roi.width, roi.height, center, background, ring) : null;
+        const contentCenter = frameGrabber.toContentPoint(roi, center.x, center.y);
+
+        // Radii are in camera pixels; the ROI is sampled at roi.scale pixels per content pixel
+        return {
+            found: true,
+            center: contentCenter,
+            pixelsPerContent: roi.scale,
+            saturated: center.peak >= this.settings.saturationLevel,
+            profile,
+            ring,
+            symmetry
+        };
+    }
+
+    /**
+     * Find the brightest point of a frame, or null if nothing stands out from the background
+     */
+    findBrightestPoint(frame) {
+        const gray = ImageUtils.boxBlur(ImageUtils.toGrayscale(frame.imageData), frame.width, frame.height);
+        let peakIndex = 0;
+
+        for (let index = 1; index < gray.length; index++) {
+            if (gray[index] > gray[peakIndex]) {
+                peakIndex = index;
+            }
+        }
+
+        if (gray[peakIndex] - ImageUtils.getPercentile(gray, 0.5) < this.settings.minContrast) {
+            return null;
+        }
+
+        const x = peakIndex % frame.width;
+        return { x, y: (peakIndex - x) / frame.width };
+    }
+
+    /**
+     * Find the sub-pixel center of the star core with an iterative thresholded centroid
+     */
+    findCentroid(gray, width, height, background) {
+        // Start at the brightest pixel near the middle of the ROI
+        const searchRadius = this.settings.roiRadius / 2;
+        let peakIndex = -1;
+        for (let y = Math.floor(height / 2 - searchRadius); y < height / 2 + searchRadius; y++) {
+            for (let x = Math.floor(width / 2 - searchRadius); x < width / 2 + searchRadius; x++) {
+                if (x < 0 || y < 0 || x >= width || y >= height) continue;
+                const index = y * width + x;
+                if (peakIndex < 0 || gray[index] > gray[peakIndex]) {
+                    peakIndex = index;
+                }
+            }
+        }
+
+        if (peakIndex < 0) {
+            return null;
+        }
+
+        const peak = gray[peakIndex];
+        const threshold = background + (peak - background) * this.settings.centroidLevel;
+        const radius = this.settings.centroidRadius;
+        let centerX = peakIndex % width;
+        let centerY = (peakIndex - centerX) / width;
+
+        for (let iteration = 0; iteration < this.settings.centroidIterations; iteration++) {
+            let sumWeight = 0, sumX = 0, sumY = 0;
+
+            for (let y = Math.max(0, Math.floor(centerY - radius)); y <= Math.min(height - 1, Math.ceil(centerY + radius)); y++) {
+                for (let x = Math.max(0, Math.floor(centerX - radius)); x <= Math.min(width - 1, Math.ceil(centerX + radius)); x++) {
+                    const weight = gray[y * width + x] - threshold;
+                    if (weight > 0 && Math.hypot(x - centerX, y - centerY) <= radius) {
+                        sumWeight += weight;
+                        sumX += weight * x;
+                        sumY += weight * y;
+                    }
+                }
+            }
+
+            if (sumWeight === 0) break;
+
+            const nextX = sumX / sumWeight;
+            const nextY = sumY / sumWeight;
+            const shift = Math.hypot(nextX - centerX, nextY - centerY);
+            centerX = nextX;
+            centerY = nextY;
+
+            if (shift < 0.01) break;
+        }
+
+        return { x: centerX, y: centerY, peak };
+    }
+
+    /**
+     * Average the background-subtracted brightness in rings around the center
+     * Values are normalized to the center brightness.
+     */
+    getRadialProfile(gray, width, height, center, background) {
+        const binSize = this.settings.binSize;
+        const maxRadius = Math.min(center.x, center.y, width - 1 - center.x, height - 1 - center.y);
+        const binCount = Math.max(1, Math.floor(maxRadius / binSize));
+        const sums = new Float32Array(binCount);
+        const counts = new Uint32Array(binCount);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const bin = Math.floor(Math.hypot(x - center.x, y - center.y) / binSize);
+                if (bin < binCount) {
+                    sums[bin] += gray[y * width + x] - background;
+                    counts[bin]++;
+                }
+            }
+        }
+
+        const averages = Array.from(sums, (sum, bin) => counts[bin] ? sum / counts[bin] : 0);
+
+        // Light smoothing so single noisy bins do not count as minima
+        const smoothed = averages.map((value, bin) => {
+            const previous = averages[Math.max(0, bin - 1)];
+            const next = averages[Math.min(binCount - 1, bin + 1)];
+            return (previous + value * 2 + next) / 4;
+        });
+
+        const peak = Math.max(...smoothed);
+        return {
+            binSize,
+            values: smoothed.map(value => peak > 0 ? value / peak : 0)
+        };
+    }
+
+    /**
+     * Find the first dark minimum and the first bright ring in a radial profile
+     * Returns radii in camera pixels, or null if no ring is resolved.
+     */
+    findFirstRing(profile) {
+        const values = profile.values;
+        let minimumBin = -1;
+
+        for (let bin = 1; bin < values.length - 1; bin++) {
+            if (values[bin] < 0.5 && values[bin] <= values[bin - 1] && values[bin] < values[bin + 1]) {
+                minimumBin = bin;
+                break;
+            }
+        }
+
+        if (minimumBin < 0) {
+            return null;
+        }
+
+        let ringBin = -1;
+        for (let bin = minimumBin + 1; bin < values.length - 1; bin++) {
+            if (values[bin] >= values[bin - 1] && values[bin] > values[bin + 1]) {
+                ringBin = bin;
+                break;
+            }
+        }
+
+        if (ringBin < 0 || values[ringBin] - values[minimumBin] < this.settings.minRingContrast) {
+            return null;
+        }
+
+        // Bin centers
+        return {
+            minimumBin,
+            ringBin,
+            minimumRadius: (minimumBin + 0.5) * profile.binSize,
+            ringRadius: (ringBin + 0.5) * profile.binSize
+        };
+    }
+
+    /**
+     * Compare the first ring brightness in angular sectors
+     * The first harmonic of the sector brightness gives the asymmetry and its direction.
+     */
+    measureSymmetry(gray, width, height, center, background, ring) {
+        const sectorCount = this.settings.sectorCount;
+        const innerRadius = ring.minimumRadius;
+        const outerRadius = ring.ringRadius * 2 - ring.minimumRadius;
+        const sums = new Float32Array(sectorCount);
+        const counts = new Uint32Array(sectorCount);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const deltaX = x - center.x;
+                const deltaY = y - center.y;
+                const distance = Math.hypot(deltaX, deltaY);
+                if (distance < innerRadius || distance > outerRadius) continue;
+
+                const angle = (Math.atan2(deltaY, deltaX) + 2 * Math.PI) % (2 * Math.PI);
+                const sector = Math.min(sectorCount - 1, Math.floor(angle / (2 * Math.PI) * sectorCount));
+                sums[sector] += gray[y * width + x] - background;
+                counts[sector]++;
+            }
+        }
+
+        const sectors = Array.from(sums, (sum, sector) => counts[sector] ? sum / counts[sector] : 0);
+        const mean = sectors.reduce((total, value) => total + value, 0) / sectorCount;
+
+        let harmonicX = 0, harmonicY = 0;
+        sectors.forEach((value, sector) => {
+            const angle = (sector + 0.5) / sectorCount * 2 * Math.PI;
+            harmonicX += value * Math.cos(angle);
+            harmonicY += value * Math.sin(angle);
+        });
+
+        const amplitude = Math.hypot(harmonicX, harmonicY) * 2 / sectorCount;
+        const asymmetry = mean > 0 ? amplitude / mean : 1;
+        const directionX = amplitude > 0 ? harmonicX / Math.hypot(harmonicX, harmonicY) : 0;
+        const directionY = amplitude > 0 ? harmonicY / Math.hypot(harmonicX, harmonicY) : 0;
+
+        return {
+            sectors,
+            asymmetry,
+            score: Math.max(0, 1 - asymmetry) * 100,
+            directionX,        // Toward the brightest side of the ring
+            directionY,
+            clock: ImageUtils.toClockPosition(directionX, directionY)
+        };
+    }
+
+    /**
+     * Draw the star center, the first ring and the asymmetry arrow
+     */
+    render(result, overlayRenderer, group) {
+        if (!result.found) return;
+
+        const center = result.center;
+        overlayRenderer.addPoint(center.x, center.y, { color: '#44ddff', radius: 2, group });
+
+        if (!result.ring) return;
+
+        const ringRadius = result.ring.ringRadius / result.pixelsPerContent;
+        overlayRenderer.addCircle(center.x, center.y, ringRadius, {
+            color: '#44ddff',
+            lineWidth: 1,
+            opacity: 0.6,
+            group
+        });
+
+        // Arrow toward the bright side, longer for stronger asymmetry
+        const symmetry = result.symmetry;
+        if (symmetry && (symmetry.directionX !== 0 || symmetry.directionY !== 0)) {
+            const roiRadius = this.settings.roiRadius / result.pixelsPerContent;
+            const length = roiRadius * Math.min(1, 0.3 + symmetry.asymmetry * 2);
+            overlayRenderer.addLine(
+                center.x + symmetry.directionX * ringRadius,
+                center.y + symmetry.directionY * ringRadius,
+                center.x + symmetry.directionX * (ringRadius + length),
+                center.y + symmetry.directionY * (ringRadius + length),
+                { color: '#ff9900', lineWidth: 2, arrow: true, group }
+            );
+        }
+    }
+
+    /**
+     * Get the readout lines for the HUD
+     */
+    getHudLines(result) {
+        const lines = [{ text: 'Airy pattern', color: '#e6edf3' }];
+
+        if (!result.found) {
+            lines.push({ text: 'No star found', color: '#8b949e' });
+            return lines;
+        }
+
+        if (result.saturated) {
+            lines.push({ text: 'Core saturated, lower exposure', color: '#f85149' });
+        }
+
+        if (!result.ring) {
+            lines.push({ text: 'First ring not resolved', color: '#8b949e' });
+            return lines;
+        }
+
+        lines.push({ text: `First min  r ${result.ring.minimumRadius.toFixed(1)} px`, color: '#8b949e' });
+        lines.push({ text: `First ring r ${result.ring.ringRadius.toFixed(1)} px`, color: '#44ddff' });
+
+        if (result.symmetry) {
+            lines.push({
+                text: `Symmetry   ${result.symmetry.score.toFixed(0)}%, bright at ${result.symmetry.clock} o'clock`,
+                color: '#ff9900'
+            });
+        }
+
+        lines.push({ text: 'Radial profile (log)', color: '#8b949e' });
+        return lines;
+    }
+
+    /**
+     * Get the radial profile plot for the HUD (log scale so the faint rings are visible)
+     */
+    getHudPlot(result) {
+        if (!result.found || !result.ring) {
+            return null;
+        }
+
+        const floor = Math.log10(this.settings.plotFloor);
+        const values = result.profile.values.map(value =>
+            (Math.log10(Math.max(this.settings.plotFloor, value)) - floor) / -floor
+        );
+
+        return {
+            values,
+            width: 160,
+            height: 50,
+            color: '#e6edf3',
+            markers: [
+                { index: result.ring.minimumBin, color: '#8b949e' },
+                { index: result.ring.ringBin, color: '#44ddff' }
+            ]
+        };
+    }
+}
\ No newline at end of file
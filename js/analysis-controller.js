@@ -0,0 +1,607 @@
+/**
+ * AnalysisController - Runs image analyzers on the video and applies their results to the reticle
+ */
+class AnalysisController {
+    constructor(frameGrabber, overlayRenderer, zoomController, crosshairController) {
+        this.frameGrabber = frameGrabber;
+        this.overlayRenderer = overlayRenderer;
+        this.zoomController = zoomController;
+        this.crosshairController = crosshairController;
+        this.circleDetector = new CircleDetector();
+        this.telescopeProfile = new TelescopeProfile();
+        this.collimationGuide = new CollimationGuide(this.telescopeProfile);
+        this.screwCalibration = new ScrewCalibration(this.telescopeProfile);
+        this.analyzers = {
+            concentricity: new ConcentricityAnalyzer(this.circleDetector, this.collimationGuide),
+            starTest: new StarTestAnalyzer(),
+            airy: new AiryAnalyzer(),
+            laserSpot: new LaserAnalyzer(this.circleDetector, this.telescopeProfile, 'centerSpot'),
+            laserTarget: new LaserAnalyzer(this.circleDetector, this.telescopeProfile, 'target'),
+            cheshire: new CheshireAnalyzer(this.circleDetector, new LineDetector()),
+            ellipse: new EllipseAnalyzer(this.circleDetector)
+        };
+        this.elements = {
+            snapCircleBtn: document.getElementById('snapCircleBtn'),
+            analysisModeSelect: document.getElementById('analysisModeSelect'),
+            toleranceSlider: document.getElementById('toleranceSlider'),
+            toleranceValue: document.getElementById('toleranceValue'),
+            laserToleranceSlider: document.getElementById('laserToleranceSlider'),
+            laserToleranceValue: document.getElementById('laserToleranceValue'),
+            primaryScrewsInput: document.getElementById('primaryScrewsInput'),
+            secondaryScrewsInput: document.getElementById('secondaryScrewsInput'),
+            clockwiseMovesSelect: document.getElementById('clockwiseMovesSelect'),
+            calibrationGroupSelect: document.getElementById('calibrationGroupSelect'),
+            calibrateScrewsBtn: document.getElementById('calibrateScrewsBtn'),
+            calibrationStepRow: document.getElementById('calibrationStepRow'),
+            calibrationNextBtn: document.getElementById('calibrationNextBtn'),
+            calibrationCancelBtn: document.getElementById('calibrationCancelBtn'),
+            calibrationStatus: document.getElementById('calibrationStatus'),
+            ellipseReticleBtn: document.getElementById('ellipseReticleBtn'),
+            fitEllipseBtn: document.getElementById('fitEllipseBtn'),
+            ellipseSizeSlider: document.getElementById('ellipseSizeSlider'),
+            ellipseSizeValue: document.getElementById('ellipseSizeValue'),
+            ellipseRatioSlider: document.getElementById('ellipseRatioSlider'),
+            ellipseRatioValue: document.getElementById('ellipseRatioValue'),
+            ellipseAngleSlider: document.getElementById('ellipseAngleSlider'),
+            ellipseAngleValue: document.getElementById('ellipseAngleValue')
+        };
+        this.settings = {
+            snapMinRadius: 0.1,        // Smallest edge radius searched, as a fraction of the view's shorter side
+            snapMaxRadius: 0.55,       // Largest edge radius searched, as a fraction of the view's shorter side
+            highlightDuration: 1500,   // How long a snapped edge stays highlighted (ms)
+            rotationSmoothing: 0.3,    // Fraction of the measured rotation change applied per frame
+            rotationDeadband: 0.1      // Smaller rotation changes (degrees) are ignored
+        };
+        this.highlightTimeout = null;
+        this.mode = 'off';
+        this.isCameraActive = false;
+        this.animationId = null;
+        this.lastAnalysisTime = 0;
+        this.lastAnalysisDuration = 0;
+        this.lastResult = null;
+    }
+
+    /**
+     * Initialize analysis controller
+     */
+    initialize() {
+        this.telescopeProfile.initialize();
+        this.setupEventListeners();
+        this.setupProfileControls();
+        this.setupCalibrationControls();
+        this.setupEllipseControls();
+        this.updateProfileControls();
+        this.updateCalibrationControls();
+        this.updateEllipseControls();
+        this.setControlsEnabled(false);
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.snapCircleBtn) {
+            this.elements.snapCircleBtn.addEventListener('click', () => {
+                this.snapCircleToEdge();
+            });
+        }
+
+        if (this.elements.analysisModeSelect) {
+            this.elements.analysisModeSelect.addEventListener('change', (event) => {
+                this.setMode(event.target.value);
+            });
+        }
+
+        document.addEventListener('cameraStreamStarted', () => {
+            this.isCameraActive = true;
+            this.setControlsEnabled(true);
+            this.startLiveAnalysis();
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.isCameraActive = false;
+            this.cancelScrewCalibration();
+            this.setControlsEnabled(false);
+            this.stopLiveAnalysis();
+        });
+    }
+
+    /**
+     * Setup telescope profile controls
+     */
+    setupProfileControls() {
+        if (this.elements.toleranceSlider) {
+            this.elements.toleranceSlider.addEventListener('input', (event) => {
+                this.telescopeProfile.updateSettings({ tolerance: parseFloat(event.target.value) });
+                this.updateProfileControls();
+            });
+        }
+
+        if (this.elements.laserToleranceSlider) {
+            this.elements.laserToleranceSlider.addEventListener('input', (event) => {
+                this.telescopeProfile.updateSettings({ laserTolerance: parseFloat(event.target.value) });
+                this.updateProfileControls();
+            });
+        }
+
+        ['primary', 'secondary'].forEach(group => {
+            const input = this.elements[`${group}ScrewsInput`];
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                const clockPositions = this.telescopeProfile.parseClockPositions(input.value);
+                if (clockPositions) {
+                    this.telescopeProfile.updateSettings({ screws: { [group]: clockPositions } });
+                } else {
+                    StatusMessages.dispatch('Enter 3 or 4 clock positions between 0 and 12, e.g. "12, 4, 8"', 'warning');
+                }
+                this.updateProfileControls();
+            });
+        });
+
+        if (this.elements.clockwiseMovesSelect) {
+            this.elements.clockwiseMovesSelect.addEventListener('change', (event) => {
+                this.telescopeProfile.updateSettings({ clockwiseMoves: event.target.value });
+            });
+        }
+
+        // Changing screw positions invalidates their calibration
+        document.addEventListener('telescopeProfileChanged', () => {
+            this.updateCalibrationControls();
+        });
+    }
+
+    /**
+     * Show the telescope profile settings in the controls
+     */
+    updateProfileControls() {
+        const settings = this.telescopeProfile.settings;
+
+        if (this.elements.toleranceSlider) {
+            this.elements.toleranceSlider.value = settings.tolerance;
+        }
+        if (this.elements.toleranceValue) {
+            this.elements.toleranceValue.textContent = `${settings.tolerance}%`;
+        }
+        if (this.elements.laserToleranceSlider) {
+            this.elements.laserToleranceSlider.value = settings.laserTolerance;
+        }
+        if (this.elements.laserToleranceValue) {
+            this.elements.laserToleranceValue.textContent = `${settings.laserTolerance}%`;
+        }
+        if (this.elements.primaryScrewsInput) {
+            this.elements.primaryScrewsInput.value = settings.screws.primary.join(', ');
+        }
+        if (this.elements.secondaryScrewsInput) {
+            this.elements.secondaryScrewsInput.value = settings.screws.secondary.join(', ');
+        }
+        if (this.elements.clockwiseMovesSelect) {
+            this.elements.clockwiseMovesSelect.value = settings.clockwiseMoves;
+        }
+    }
+
+    /**
+     * Setup screw calibration controls
+     */
+    setupCalibrationControls() {
+        if (this.elements.calibrateScrewsBtn) {
+            this.elements.calibrateScrewsBtn.addEventListener('click', () => {
+                const group = this.elements.calibrationGroupSelect ? this.elements.calibrationGroupSelect.value : 'secondary';
+                this.startScrewCalibration(group);
+            });
+        }
+
+        if (this.elements.calibrationNextBtn) {
+            this.elements.calibrationNextBtn.addEventListener('click', () => {
+                this.screwCalibration.next();
+                this.updateCalibrationControls();
+            });
+        }
+
+        if (this.elements.calibrationCancelBtn) {
+            this.elements.calibrationCancelBtn.addEventListener('click', () => {
+                this.cancelScrewCalibration();
+            });
+        }
+    }
+
+    /**
+     * Start calibrating a screw group; needs the concentricity readout to track the ring
+     */
+    startScrewCalibration(group) {
+        if (this.mode !== 'concentricity') {
+            this.setMode('concentricity');
+        }
+
+        this.screwCalibration.start(group);
+        this.updateCalibrationControls();
+    }
+
+    /**
+     * Cancel the screw calibration in progress
+     */
+    cancelScrewCalibration() {
+        if (!this.screwCalibration.isActive()) return;
+
+        this.screwCalibration.cancel();
+        this.updateCalibrationControls();
+    }
+
+    /**
+     * Handle a completed calibration measurement
+     */
+    handleCalibrationStep(step) {
+        if (step.type === 'retry') {
+            StatusMessages.dispatch(`Screw ${step.screw.name} barely moved the image, turn it another quarter turn and press Next`, 'warning');
+        } else if (step.type === 'done') {
+            StatusMessages.dispatch('Screw calibration saved', 'success');
+        }
+
+        this.updateCalibrationControls();
+    }
+
+    /**
+     * Show the calibration step or state in the controls
+     */
+    updateCalibrationControls() {
+        const isActive = this.screwCalibration.isActive();
+
+        if (this.elements.calibrationStepRow) {
+            this.elements.calibrationStepRow.style.display = isActive ? '' : 'none';
+        }
+        if (this.elements.calibrateScrewsBtn) {
+            this.elements.calibrateScrewsBtn.disabled = isActive || !this.isCameraActive;
+        }
+        if (this.elements.calibrationNextBtn) {
+            this.elements.calibrationNextBtn.disabled = isActive && this.screwCalibration.state.measuring;
+        }
+
+        if (this.elements.calibrationStatus) {
+            if (isActive) {
+                this.elements.calibrationStatus.textContent = this.screwCalibration.getInstruction();
+            } else {
+                const calibrated = ['primary', 'secondary'].filter(group => this.telescopeProfile.getCalibration(group));
+                this.elements.calibrationStatus.textContent = calibrated.length > 0 ?
+                    `Calibrated: ${calibrated.join(', ')}` :
+                    'Screws not calibrated';
+            }
+        }
+    }
+
+    /**
+     * Setup ellipse reticle controls
+     */
+    setupEllipseControls() {
+        if (this.elements.ellipseReticleBtn) {
+            this.elements.ellipseReticleBtn.addEventListener('click', () => {
+                const visible = !this.crosshairController.getEllipseReticle().visible;
+                this.crosshairController.setEllipseReticle({ visible });
+                this.updateEllipseControls();
+            });
+        }
+
+        if (this.elements.fitEllipseBtn) {
+            this.elements.fitEllipseBtn.addEventListener('click', () => {
+                this.fitEllipseReticle();
+            });
+        }
+
+        ['size', 'ratio', 'angle'].forEach(property => {
+            const slider = this.elements[`ellipse${property[0].toUpperCase()}${property.slice(1)}Slider`];
+            if (!slider) return;
+
+            slider.addEventListener('input', (event) => {
+                this.crosshairController.setEllipseReticle({ visible: true, [property]: parseFloat(event.target.value) });
+                this.updateEllipseControls();
+            });
+        });
+    }
+
+    /**
+     * Show the ellipse reticle state in the controls
+     */
+    updateEllipseControls() {
+        const ellipse = this.crosshairController.getEllipseReticle();
+
+        if (this.elements.ellipseReticleBtn) {
+            this.elements.ellipseReticleBtn.classList.toggle('active', ellipse.visible);
+        }
+        if (this.elements.ellipseSizeSlider) {
+            this.elements.ellipseSizeSlider.value = ellipse.size;
+        }
+        if (this.elements.ellipseSizeValue) {
+            this.elements.ellipseSizeValue.textContent = `${Math.round(ellipse.size * 100)}%`;
+        }
+        if (this.elements.ellipseRatioSlider) {
+            this.elements.ellipseRatioSlider.value = ellipse.ratio;
+        }
+        if (this.elements.ellipseRatioValue) {
+            this.elements.ellipseRatioValue.textContent = ellipse.ratio.toFixed(2);
+        }
+        if (this.elements.ellipseAngleSlider) {
+            this.elements.ellipseAngleSlider.value = ellipse.angle;
+        }
+        if (this.elements.ellipseAngleValue) {
+            this.elements.ellipseAngleValue.textContent = `${Math.round(ellipse.angle)}°`;
+        }
+    }
+
+    /**
+     * Match the ellipse reticle to the outline found by the ellipse analyzer
+     * Uses the live result when the ellipse readout is running, otherwise analyzes one frame.
+     */
+    fitEllipseReticle() {
+        let result = this.mode === 'ellipse' ? this.lastResult : null;
+
+        if (!result) {
+            try {
+                result = this.measure(this.analyzers.ellipse);
+            } catch (error) {
+                console.error('Ellipse fit failed:', error);
+            }
+        }
+
+        if (!result || !result.found) {
+            StatusMessages.dispatch('No elliptical outline found inside the yellow circle', 'warning');
+            return null;
+        }
+
+        // The reticle is sized relative to circle_1, so no zoom conversion is needed
+        this.crosshairController.setEllipseReticle({
+            visible: true,
+            size: result.ellipse.semiMajor / result.reticle.radius,
+            ratio: result.axisRatio,
+            angle: result.orientation
+        });
+        this.updateEllipseControls();
+
+        StatusMessages.dispatch(
+            `Ellipse fitted: axis ratio ${result.axisRatio.toFixed(3)}, major axis at ${result.orientation.toFixed(1)}°`,
+            'success'
+        );
+
+        return result;
+    }
+
+    /**
+     * Switch the live readout mode ('off' or an analyzer name)
+     */
+    setMode(mode) {
+        this.mode = this.analyzers[mode] ? mode : 'off';
+
+        // Calibration tracks rings found by the concentricity readout
+        if (this.mode !== 'concentricity') {
+            this.cancelScrewCalibration();
+        }
+
+        if (this.elements.analysisModeSelect) {
+            this.elements.analysisModeSelect.value = this.mode;
+        }
+
+        this.stopLiveAnalysis();
+        this.startLiveAnalysis();
+    }
+
+    /**
+     * Start the live analysis loop if a mode is selected and the camera is running
+     */
+    startLiveAnalysis() {
+        if (this.animationId || this.mode === 'off' || !this.isCameraActive) {
+            return;
+        }
+
+        const loop = () => {
+            this.animationId = requestAnimationFrame(loop);
+
+            // Skip frames when analysis is slower than the display, so the UI stays responsive
+            const now = performance.now();
+            if (now - this.lastAnalysisTime < this.lastAnalysisDuration) {
+                return;
+            }
+
+            this.lastAnalysisTime = now;
+            this.runAnalysis();
+            this.lastAnalysisDuration = performance.now() - now;
+        };
+
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * Stop the live analysis loop and clear its overlays
+     */
+    stopLiveAnalysis() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        this.lastResult = null;
+        this.overlayRenderer.removeGroup('analysis');
+        this.overlayRenderer.clearHud();
+    }
+
+    /**
+     * Run an analyzer on the latest frame; returns null when no frame is available
+     */
+    measure(analyzer) {
+        const reticle = this.getReticle();
+        const visibleRect = this.zoomController.getVisibleContentRect();
+        const frame = this.frameGrabber.grabFrame({
+            region: analyzer.getRegion ? analyzer.getRegion(reticle, visibleRect) : visibleRect,
+            maxSize: analyzer.maxFrameSize
+        });
+
+        if (!frame) {
+            return null;
+        }
+
+        return analyzer.analyze({
+            frame,
+            frameGrabber: this.frameGrabber,
+            reticle,
+            sourceScale: 1 / this.frameGrabber.getCoverLayout().scale // Camera pixels per content pixel
+        });
+    }
+
+    /**
+     * Run the current analyzer on the latest frame and show its results
+     */
+    runAnalysis() {
+        const analyzer = this.analyzers[this.mode];
+        if (!analyzer) {
+            return null;
+        }
+
+        let result;
+        try {
+            result = this.measure(analyzer);
+        } catch (error) {
+            console.error('Analysis failed:', error);
+            this.setMode('off');
+            StatusMessages.dispatch('Live analysis stopped: ' + error.message, 'danger');
+            return null;
+        }
+
+        if (!result) {
+            return null;
+        }
+
+        this.lastResult = result;
+        this.applyAnalysisResult(result);
+
+        this.overlayRenderer.removeGroup('analysis');
+        analyzer.render(result, this.overlayRenderer, 'analysis');
+        this.overlayRenderer.setHud(analyzer.getHudLines(result), {
+            plot: analyzer.getHudPlot ? analyzer.getHudPlot(result) : null
+        });
+
+        document.dispatchEvent(new CustomEvent('analysisUpdated', {
+            detail: { mode: this.mode, result }
+        }));
+
+        return result;
+    }
+
+    /**
+     * Apply the current analyzer's result to the reticle and running flows
+     */
+    applyAnalysisResult(result) {
+        if (this.mode === 'concentricity' && this.screwCalibration.isActive()) {
+            const step = this.screwCalibration.addSample(result);
+            if (step) {
+                this.handleCalibrationStep(step);
+            }
+        }
+
+        // Cheshire mode keeps the crosshair lines on the spider vanes
+        if (this.mode === 'cheshire' && result.found) {
+            const current = this.crosshairController.rotationAngle;
+            // The crosshair repeats every 90°, so take the shortest way round (-45° to 45°)
+            const change = ((result.rotation - current + 45) % 90 + 90) % 90 - 45;
+            if (Math.abs(change) > this.settings.rotationDeadband) {
+                this.crosshairController.setRotation(current + change * this.settings.rotationSmoothing);
+            }
+        }
+    }
+
+    /**
+     * Get the crosshair center, circle_1 radius (content coordinates) and rotation (degrees)
+     */
+    getReticle() {
+        return this.crosshairController.getReticle();
+    }
+
+    /**
+     * Find the strongest circular edge in the visible part of the video
+     * Returns {x, y, radius, score} in content coordinates, or null if nothing was found
+     */
+    detectStrongestCircle() {
+        const frame = this.frameGrabber.grabFrame({
+            region: this.zoomController.getVisibleContentRect()
+        });
+
+        if (!frame) {
+            return null;
+        }
+
+        const shorterSide = Math.min(frame.width, frame.height);
+        const circle = this.circleDetector.detect(frame.imageData, {
+            minRadius: shorterSide * this.settings.snapMinRadius,
+            maxRadius: shorterSide * this.settings.snapMaxRadius
+        });
+
+        if (!circle) {
+            return null;
+        }
+
+        const center = this.frameGrabber.toContentPoint(frame, circle.x, circle.y);
+        return {
+            x: center.x,
+            y: center.y,
+            radius: circle.radius / frame.scale,
+            score: circle.score
+        };
+    }
+
+    /**
+     * Resize circle_1 and move the crosshair center onto the strongest circular edge
+     */
+    snapCircleToEdge() {
+        const circle = this.detectStrongestCircle();
+
+        if (!circle) {
+            StatusMessages.dispatch('No circular edge found', 'warning');
+            return null;
+        }
+
+        // The crosshair lives in container coordinates, so apply the current zoom
+        const center = this.zoomController.contentToContainer(circle.x, circle.y);
+        const diameter = circle.radius * 2 * this.zoomController.scale;
+        this.crosshairController.snapCircle1To(center.x, center.y, diameter);
+
+        this.highlightCircle(circle);
+        StatusMessages.dispatch(
+            `Edge found: radius ${Math.round(circle.radius)} px, ${Math.round(circle.score * 100)}% coverage`,
+            'success'
+        );
+
+        return circle;
+    }
+
+    /**
+     * Briefly highlight a detected circle on the overlay
+     */
+    highlightCircle(circle) {
+        clearTimeout(this.highlightTimeout);
+        this.overlayRenderer.removeGroup('snapHighlight');
+        this.overlayRenderer.addCircle(circle.x, circle.y, circle.radius, {
+            color: '#ff9900',
+            lineWidth: 2,
+            opacity: 0.9,
+            group: 'snapHighlight'
+        });
+
+        this.highlightTimeout = setTimeout(() => {
+            this.overlayRenderer.removeGroup('snapHighlight');
+        }, this.settings.highlightDuration);
+    }
+
+    /**
+     * Enable or disable analysis controls (they need a running camera)
+     */
+    setControlsEnabled(enabled) {
+        const controls = [this.elements.snapCircleBtn, this.elements.analysisModeSelect, this.elements.fitEllipseBtn];
+
+        controls.forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+                control.style.opacity = enabled ? '1' : '0.5';
+                control.style.pointerEvents = enabled ? 'auto' : 'none';
+            }
+        });
+
+        this.updateCalibrationControls();
+    }
+}
\ No newline at end of file
@@ -4,7 +4,24 @@
 class WebcamOverlayApp {
     constructor() {
         this.webcamManager = null;
+        this.telescopeSimulator = null;
+        this.screenCaptureSource = null;
+        this.networkCameraSource = null;
         this.overlayRenderer = null;
+        this.frameGrabber = null;
+        this.frameCalibration = null;
+        this.frameStacker = null;
+        this.hdrCapture = null;
+        this.imageFilters = null;
+        this.edgeEmphasis = null;
+        this.curveEditor = null;
+        this.cameraControlsPanel = null;
+        this.viewModeController = null;
+        this.imagePipeline = null;
+        this.histogramPanel = null;
+        this.meteringController = null;
+        this.focusAnalyzer = null;
+        this.analysisController = null;
         this.uiController = null;
         this.isInitialized = false;
     }
@@ -74,10 +91,21 @@ class WebcamOverlayApp {
         this.webcamManager = new WebcamManager();
         await this.webcamManager.initialize();
 
+        // Initialize the simulated telescope, selectable like a camera
+        this.telescopeSimulator = new TelescopeSimulator();
+        this.telescopeSimulator.initialize();
+        this.webcamManager.registerSource(this.telescopeSimulator);
+
         // Initialize overlay renderer
         this.overlayRenderer = new OverlayRenderer('overlayCanvas', document.getElementById('webcamVideo'));
         this.overlayRenderer.initialize();
 
+        // Initialize frame grabber used by the image analyzers
+        this.frameGrabber = new FrameGrabber(
+            document.getElementById('webcamVideo'),
+            document.getElementById('webcamContainer')
+        );
+
         // Initialize zoom controller
         this.zoomController = new ZoomController(
             document.getElementById('webcamContainer'),
@@ -85,9 +113,84 @@ class WebcamOverlayApp {
         );
         this.zoomController.initialize();
 
+        // Initialize screen/window capture, selectable like a camera
+        this.screenCaptureSource = new ScreenCaptureSource(
+            this.zoomController,
+            this.overlayRenderer,
+            document.getElementById('webcamVideo'),
+            document.getElementById('webcamContainer')
+        );
+        this.screenCaptureSource.initialize();
+        this.webcamManager.registerSource(this.screenCaptureSource);
+
+        // Initialize MJPEG/snapshot network camera, selectable like a camera
+        this.networkCameraSource = new NetworkCameraSource();
+        this.networkCameraSource.initialize();
+        this.webcamManager.registerSource(this.networkCameraSource);
+
+        // Initialize dark/flat frame calibration
+        this.frameCalibration = new FrameCalibration(document.getElementById('webcamVideo'));
+        this.frameCalibration.initialize();
+
+        // Initialize frame stacker
+        this.frameStacker = new FrameStacker();
+        this.frameStacker.initialize();
+
+        // Initialize denoise/sharpen filters and edge emphasis
+        this.imageFilters = new ImageFilters();
+        this.imageFilters.initialize();
+        this.edgeEmphasis = new EdgeEmphasis();
+        this.edgeEmphasis.initialize();
+
         // Initialize exposure controller
         this.exposureController = new ExposureController(document.getElementById('webcamVideo'));
         this.exposureController.initialize();
+        this.exposureController.setFrameCalibration(this.frameCalibration);
+
+        // Initialize hardware camera controls (white balance, ISO, torch, ...)
+        this.cameraControlsPanel = new CameraControlsPanel(document.getElementById('webcamVideo'));
+        this.cameraControlsPanel.initialize();
+
+        // Initialize tone curve editor
+        this.curveEditor = new CurveEditor(
+            this.exposureController,
+            document.getElementById('webcamVideo'),
+            document.getElementById('webcamContainer')
+        );
+        this.curveEditor.initialize();
+
+        // Initialize exposure bracketing and HDR merge
+        this.hdrCapture = new HdrCapture(this.exposureController, document.getElementById('webcamVideo'));
+        this.hdrCapture.initialize();
+
+        // Initialize view modes (display-only, so added to the pipeline last)
+        this.viewModeController = new ViewModeController();
+        this.viewModeController.initialize();
+
+        // Initialize image pipeline; its processed frames replace the video for display and analysis
+        this.imagePipeline = new ImagePipeline(
+            document.getElementById('webcamVideo'),
+            document.getElementById('webcamContainer'),
+            this.frameGrabber,
+            this.zoomController
+        );
+        this.imagePipeline.addStage(this.frameCalibration);
+        this.imagePipeline.addStage(this.hdrCapture);
+        this.imagePipeline.addStage(this.frameStacker);
+        this.imagePipeline.addStage(this.imageFilters);
+        this.imagePipeline.addStage(this.exposureController);
+        this.imagePipeline.addStage(this.edgeEmphasis);
+        this.imagePipeline.addStage(this.viewModeController);
+        this.imagePipeline.initialize();
+
+        // Initialize histogram panel; reads the same frames as the analyzers
+        this.histogramPanel = new HistogramPanel(
+            this.frameGrabber,
+            this.zoomController,
+            this.exposureController,
+            document.getElementById('webcamContainer')
+        );
+        this.histogramPanel.initialize();
 
         // Initialize crosshair controller
         this.crosshairController = new CrosshairController(
@@ -101,6 +204,36 @@ class WebcamOverlayApp {
         // Establish two-way communication between zoom and crosshair controllers
         this.zoomController.setCrosshairController(this.crosshairController);
 
+        // Initialize auto exposure metering (circle_1 or a drawn rectangle)
+        this.meteringController = new MeteringController(
+            this.crosshairController,
+            this.zoomController,
+            this.overlayRenderer,
+            document.getElementById('webcamVideo'),
+            document.getElementById('webcamContainer')
+        );
+        this.meteringController.initialize();
+        this.exposureController.setMeteringController(this.meteringController);
+
+        // Initialize sharpness metric, focus peaking and focus sweep
+        this.focusAnalyzer = new FocusAnalyzer(
+            this.zoomController,
+            this.exposureController,
+            document.getElementById('webcamVideo'),
+            document.getElementById('webcamContainer')
+        );
+        this.focusAnalyzer.initialize();
+        this.focusAnalyzer.setMeteringController(this.meteringController);
+
+        // Initialize analysis controller
+        this.analysisController = new AnalysisController(
+            this.frameGrabber,
+            this.overlayRenderer,
+            this.zoomController,
+            this.crosshairController
+        );
+        this.analysisController.initialize();
+
         // Initialize UI controller
         this.uiController = new UIController(this.webcamManager, this.overlayRenderer, this.zoomController, this.exposureController, this.crosshairController);
         await this.uiController.initialize();
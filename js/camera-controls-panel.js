@@ -0,0 +1,421 @@
+/**
+ * CameraControlsPanel - Hardware camera controls generated from the track capabilities
+ *
+ * Every range capability becomes a slider, every list capability a select and every boolean
+ * capability (e.g. torch) a switch. Changes are applied with applyConstraints and saved per
+ * camera deviceId, then re-applied whenever that camera starts. Non-camera sources (simulator,
+ * files, screen and network cameras) are never saved, so their settings cannot reach a camera.
+ */
+class CameraControlsPanel {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.storageKey = 'cameraControls';
+        this.elements = {
+            cameraControlsPanel: document.getElementById('cameraControlsPanel'),
+            cameraControlsStatus: document.getElementById('cameraControlsStatus'),
+            resetCameraControlsBtn: document.getElementById('resetCameraControlsBtn')
+        };
+        // Capabilities that describe the stream format or have their own controls
+        this.excludedCapabilities = [
+            'width', 'height', 'aspectRatio', 'frameRate', 'resizeMode', 'facingMode',
+            'deviceId', 'groupId', 'focusDistance', 'focusMode'
+        ];
+        // Manual values only take effect with the matching automatic mode switched to manual
+        this.manualModes = {
+            exposureTime: 'exposureMode',
+            iso: 'exposureMode',
+            colorTemperature: 'whiteBalanceMode'
+        };
+        this.track = null;
+        this.deviceId = null;
+        this.capabilities = {};
+        this.defaults = {};        // Track settings before saved values were applied, for reset
+        this.inputs = {};          // Control element per capability name
+        this.pending = {};         // Constraints waiting to be applied
+        this.isApplying = false;
+    }
+
+    /**
+     * Initialize camera controls panel
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.clear();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.resetCameraControlsBtn) {
+            this.elements.resetCameraControlsBtn.addEventListener('click', () => {
+                this.resetControls();
+            });
+        }
+
+        document.addEventListener('cameraStreamStarted', (event) => {
+            this.onCameraStarted(event.detail || {});
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.track = null;
+            this.deviceId = null;
+            this.clear();
+        });
+    }
+
+    /**
+     * Read the new camera's capabilities, re-apply its saved settings and build the controls
+     */
+    async onCameraStarted(detail) {
+        const stream = this.video.srcObject;
+        const track = stream && stream.getVideoTracks ? stream.getVideoTracks()[0] : null;
+
+        if (!track || !track.getCapabilities) {
+            this.clear('This browser does not report camera controls');
+            return;
+        }
+
+        this.track = track;
+        this.capabilities = track.getCapabilities();
+        // Sources report a source label; their canvas tracks have no device of their own
+        this.deviceId = detail.source ? null : (track.getSettings().deviceId || detail.cameraId || 'default');
+        this.defaults = this.getControlValues(track.getSettings());
+
+        const saved = this.deviceId ? this.loadDeviceSettings(this.deviceId) : {};
+        if (Object.keys(saved).length > 0) {
+            try {
+                await track.applyConstraints({ advanced: [this.withManualModes(saved)] });
+            } catch (error) {
+                console.warn('Failed to re-apply camera settings:', error);
+            }
+        }
+
+        this.buildControls();
+    }
+
+    /**
+     * Get the values of the supported controls from track settings
+     */
+    getControlValues(trackSettings) {
+        const values = {};
+        Object.keys(this.capabilities).forEach(name => {
+            if (!this.excludedCapabilities.includes(name) && trackSettings[name] !== undefined) {
+                values[name] = trackSettings[name];
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Add the manual mode that a manual value needs, unless the mode is set explicitly
+     */
+    withManualModes(constraints) {
+        const result = { ...constraints };
+
+        Object.keys(constraints).forEach(name => {
+            const modeName = this.manualModes[name];
+            const modes = this.capabilities[modeName];
+            if (modeName && constraints[modeName] === undefined && Array.isArray(modes) && modes.includes('manual')) {
+                result[modeName] = 'manual';
+            }
+        });
+
+        // Modes first, so the values are not rejected while the camera is still in automatic mode
+        const modeNames = Object.values(this.manualModes);
+        return Object.fromEntries(Object.entries(result).sort(([first], [second]) =>
+            modeNames.includes(second) - modeNames.includes(first)));
+    }
+
+    /**
+     * Create one control row per supported capability
+     */
+    buildControls() {
+        const panel = this.elements.cameraControlsPanel;
+        if (!panel || !this.track) return;
+
+        const trackSettings = this.track.getSettings();
+        const names = Object.keys(this.capabilities)
+            .filter(name => !this.excludedCapabilities.includes(name))
+            .filter(name => this.getControlType(this.capabilities[name]) !== null);
+
+        panel.innerHTML = '';
+        this.inputs = {};
+
+        names.forEach(name => {
+            const row = this.createControlRow(name, this.capabilities[name], trackSettings[name]);
+            panel.appendChild(row);
+        });
+
+        if (this.elements.resetCameraControlsBtn) {
+            this.elements.resetCameraControlsBtn.disabled = names.length === 0;
+        }
+        const saving = this.deviceId ? ', saved for this camera' : '';
+        this.setStatus(names.length > 0 ?
+            `${names.length} hardware controls${saving}` :
+            'This camera has no adjustable controls');
+    }
+
+    /**
+     * Get the kind of control for a capability: 'range', 'select', 'toggle' or null
+     */
+    getControlType(capability) {
+        if (capability === true || capability === false) {
+            return 'toggle';
+        }
+        if (Array.isArray(capability)) {
+            if (capability.every(value => typeof value === 'boolean')) {
+                return capability.length > 1 ? 'toggle' : null;
+            }
+            return capability.length > 1 ? 'select' : null;
+        }
+        if (capability && typeof capability.min === 'number' && typeof capability.max === 'number' &&
+            capability.max > capability.min) {
+            return 'range';
+        }
+        return null;
+    }
+
+    /**
+     * Create the label, input and value badge for one capability
+     */
+    createControlRow(name, capability, value) {
+        const type = this.getControlType(capability);
+        const row = document.createElement('div');
+        row.className = 'row align-items-center mb-1';
+
+        const labelColumn = document.createElement('div');
+        labelColumn.className = 'col-4';
+        const label = document.createElement('small');
+        label.className = 'text-muted';
+        label.textContent = this.formatName(name);
+        label.title = name;
+        labelColumn.appendChild(label);
+        row.appendChild(labelColumn);
+
+        const inputColumn = document.createElement('div');
+        row.appendChild(inputColumn);
+
+        if (type === 'range') {
+            inputColumn.className = 'col-6';
+            const badgeColumn = document.createElement('div');
+            badgeColumn.className = 'col-2';
+            const badge = document.createElement('small');
+            badge.className = 'badge bg-info camera-control-value';
+            badgeColumn.appendChild(badge);
+            row.appendChild(badgeColumn);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'form-range form-range-sm';
+            slider.min = capability.min;
+            slider.max = capability.max;
+            slider.step = capability.step || 'any';
+            slider.value = value !== undefined ? value : capability.min;
+            badge.textContent = this.formatValue(parseFloat(slider.value));
+
+            slider.addEventListener('input', () => {
+                const sliderValue = parseFloat(slider.value);
+                badge.textContent = this.formatValue(sliderValue);
+                this.applyControl(name, sliderValue);
+            });
+            inputColumn.appendChild(slider);
+            this.inputs[name] = slider;
+        } else if (type === 'select') {
+            inputColumn.className = 'col-8';
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            capability.forEach(option => {
+                const optionElement = document.createElement('option');
+                optionElement.value = option;
+                optionElement.textContent = option;
+                select.appendChild(optionElement);
+            });
+            if (value !== undefined) {
+                select.value = value;
+            }
+
+            select.addEventListener('change', () => {
+                this.applyControl(name, select.value);
+            });
+            inputColumn.appendChild(select);
+            this.inputs[name] = select;
+        } else {
+            inputColumn.className = 'col-8';
+            const toggle = document.createElement('div');
+            toggle.className = 'form-check form-switch mb-0';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input';
+            checkbox.checked = value === true;
+
+            checkbox.addEventListener('change', () => {
+                this.applyControl(name, checkbox.checked);
+            });
+            toggle.appendChild(checkbox);
+            inputColumn.appendChild(toggle);
+            this.inputs[name] = checkbox;
+        }
+
+        return row;
+    }
+
+    /**
+     * Apply a control value; values arriving while a change is applied are merged into the next one
+     */
+    async applyControl(name, value) {
+        if (!this.track) return;
+
+        this.pending[name] = value;
+        if (this.isApplying) return;
+
+        this.isApplying = true;
+        while (Object.keys(this.pending).length > 0) {
+            const constraints = this.withManualModes(this.pending);
+            this.pending = {};
+
+            try {
+                await this.track.applyConstraints({ advanced: [constraints] });
+                this.saveDeviceSettings(constraints);
+            } catch (error) {
+                console.warn('Failed to apply camera setting:', error);
+                StatusMessages.dispatch(`Camera rejected ${Object.keys(constraints).join(', ')}`, 'warning');
+            }
+        }
+        this.isApplying = false;
+
+        this.updateInputs();
+    }
+
+    /**
+     * Show the track's current values, e.g. after a mode change moved other controls
+     */
+    updateInputs() {
+        if (!this.track) return;
+
+        const trackSettings = this.track.getSettings();
+        Object.entries(this.inputs).forEach(([name, input]) => {
+            const value = trackSettings[name];
+            if (value === undefined || input === document.activeElement) return;
+
+            if (input.type === 'checkbox') {
+                input.checked = value === true;
+            } else {
+                input.value = value;
+                if (input.type === 'range') {
+                    input.closest('.row').querySelector('.camera-control-value').textContent = this.formatValue(value);
+                }
+            }
+        });
+    }
+
+    /**
+     * Restore the values the camera started with and forget the saved ones
+     */
+    async resetControls() {
+        if (!this.track) return;
+
+        if (this.deviceId) {
+            this.removeDeviceSettings(this.deviceId);
+        }
+        try {
+            await this.track.applyConstraints({ advanced: [this.defaults] });
+        } catch (error) {
+            console.warn('Failed to reset camera settings:', error);
+        }
+
+        this.buildControls();
+        StatusMessages.dispatch('Camera controls reset', 'success');
+    }
+
+    /**
+     * Turn a capability name like colorTemperature into a label like "Color temperature"
+     */
+    formatName(name) {
+        const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Format a slider value for its badge
+     */
+    formatValue(value) {
+        return Number.isInteger(value) ? `${value}` : value.toFixed(Math.abs(value) < 10 ? 2 : 1);
+    }
+
+    /**
+     * Show the empty panel while no camera is running
+     */
+    clear(message = 'Start the camera to see its controls') {
+        if (this.elements.cameraControlsPanel) {
+            this.elements.cameraControlsPanel.innerHTML = '';
+        }
+        if (this.elements.resetCameraControlsBtn) {
+            this.elements.resetCameraControlsBtn.disabled = true;
+        }
+        this.inputs = {};
+        this.pending = {};
+        this.setStatus(message);
+    }
+
+    /**
+     * Show a line of text under the camera controls
+     */
+    setStatus(text) {
+        if (this.elements.cameraControlsStatus) {
+            this.elements.cameraControlsStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Load all saved camera settings, keyed by deviceId
+     */
+    loadAllSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('Failed to load camera settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Load the saved settings of one camera, limited to what it supports
+     */
+    loadDeviceSettings(deviceId) {
+        const saved = this.loadAllSettings()[deviceId] || {};
+        return this.getControlValues(saved);
+    }
+
+    /**
+     * Merge applied constraints into the saved settings of the current camera
+     */
+    saveDeviceSettings(constraints) {
+        if (!this.deviceId) return;
+
+        const allSettings = this.loadAllSettings();
+        allSettings[this.deviceId] = { ...allSettings[this.deviceId], ...constraints };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(allSettings));
+        } catch (error) {
+            console.warn('Failed to save camera settings:', error);
+        }
+    }
+
+    /**
+     * Forget the saved settings of one camera
+     */
+    removeDeviceSettings(deviceId) {
+        const allSettings = this.loadAllSettings();
+        delete allSettings[deviceId];
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(allSettings));
+        } catch (error) {
+            console.warn('Failed to save camera settings:', error);
+        }
+    }
+}
\ No newline at end of file
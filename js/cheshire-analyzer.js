@@ -0,0 +1,220 @@
+/**
+ * CheshireAnalyzer - Finds the spider vanes in a Cheshire or sight-tube view
+ *
+ * Reports the crosshair rotation that lines up with the vanes and how far the
+ * vanes' intersection is from the crosshair center.
+ */
+class CheshireAnalyzer {
+    constructor(circleDetector, lineDetector) {
+        this.circleDetector = circleDetector;
+        this.lineDetector = lineDetector;
+        this.maxFrameSize = 400;
+        this.settings = {
+            maxVaneWidth: 0.03,    // Both edges of a vane are merged if closer than this (fraction of the shorter side)
+            mergeAngle: 3,         // Max angle between the two edges of a vane in degrees
+            minVaneVotes: 0.4,     // Vanes weaker than this fraction of the strongest one are ignored
+            maxVanes: 4,
+            minIntersectionAngle: 20 // Vanes must cross at least at this angle to give an intersection
+        };
+    }
+
+    /**
+     * Find the vanes and measure rotation and intersection offset
+     */
+    analyze(context) {
+        const { frame, frameGrabber, reticle, sourceScale } = context;
+        const edges = this.circleDetector.computeEdges(frame.imageData);
+        const vanes = this.findVanes(this.lineDetector.findLines(edges), Math.min(frame.width, frame.height));
+
+        if (vanes.length === 0) {
+            return { found: false };
+        }
+
+        const centerX = frame.width / 2;
+        const centerY = frame.height / 2;
+        const halfDiagonal = Math.hypot(frame.width, frame.height) / 2;
+
+        const result = {
+            found: true,
+            rotation: this.getCrosshairRotation(vanes, reticle.rotation),
+            vanes: vanes.map(vane => {
+                const footX = centerX + vane.rho * Math.cos(vane.angle);
+                const footY = centerY + vane.rho * Math.sin(vane.angle);
+                const directionX = -Math.sin(vane.angle) * halfDiagonal;
+                const directionY = Math.cos(vane.angle) * halfDiagonal;
+                return {
+                    start: frameGrabber.toContentPoint(frame, footX - directionX, footY - directionY),
+                    end: frameGrabber.toContentPoint(frame, footX + directionX, footY + directionY)
+                };
+            }),
+            reticle,
+            intersection: null
+        };
+
+        const intersection = this.getIntersection(vanes);
+        if (intersection) {
+            result.intersection = frameGrabber.toContentPoint(frame, centerX + intersection.x, centerY + intersection.y);
+
+            const offset = Math.hypot(result.intersection.x - reticle.x, result.intersection.y - reticle.y);
+            result.offsetPixels = offset * sourceScale;               // In camera pixels
+            result.offsetPercent = offset / reticle.radius * 100;     // In percent of circle_1 radius
+        }
+
+        return result;
+    }
+
+    /**
+     * Merge the two edges of each vane into one center line and keep the strongest vanes
+     */
+    findVanes(lines, shorterSide) {
+        const maxWidth = shorterSide * this.settings.maxVaneWidth;
+        const mergeAngle = this.settings.mergeAngle * Math.PI / 180;
+        const groups = [];
+
+        lines.forEach(line => {
+            const group = groups.find(candidate => {
+                const aligned = this.alignLine(line, candidate.lines[0]);
+                return Math.abs(aligned.angle - candidate.lines[0].angle) <= mergeAngle &&
+                    Math.abs(aligned.rho - candidate.lines[0].rho) <= maxWidth;
+            });
+
+            if (group) {
+                group.lines.push(this.alignLine(line, group.lines[0]));
+            } else {
+                groups.push({ lines: [line] });
+            }
+        });
+
+        const vanes = groups.map(group => {
+            const votes = group.lines.reduce((total, line) => total + line.votes, 0);
+            return {
+                angle: group.lines.reduce((total, line) => total + line.angle * line.votes, 0) / votes,
+                rho: group.lines.reduce((total, line) => total + line.rho * line.votes, 0) / votes,
+                votes
+            };
+        }).sort((first, second) => second.votes - first.votes);
+
+        if (vanes.length === 0) {
+            return [];
+        }
+
+        const minVotes = vanes[0].votes * this.settings.minVaneVotes;
+        return vanes.filter(vane => vane.votes >= minVotes).slice(0, this.settings.maxVanes);
+    }
+
+    /**
+     * Express a line with an angle close to a reference line (angles near 0 and 180° are the same line)
+     */
+    alignLine(line, reference) {
+        if (line.angle - reference.angle > Math.PI / 2) {
+            return { ...line, angle: line.angle - Math.PI, rho: -line.rho };
+        }
+        if (reference.angle - line.angle > Math.PI / 2) {
+            return { ...line, angle: line.angle + Math.PI, rho: -line.rho };
+        }
+        return line;
+    }
+
+    /**
+     * Get the crosshair rotation (degrees) that puts its lines on the vanes
+     * The crosshair repeats every 90°, so the result is the equivalent angle closest to the current one.
+     */
+    getCrosshairRotation(vanes, currentRotation) {
+        let sumSin = 0, sumCos = 0;
+
+        vanes.forEach(vane => {
+            // Vane direction is perpendicular to its Hough normal; 4x folds the 90° symmetry
+            const direction = vane.angle + Math.PI / 2;
+            sumSin += vane.votes * Math.sin(direction * 4);
+            sumCos += vane.votes * Math.cos(direction * 4);
+        });
+
+        const rotation = Math.atan2(sumSin, sumCos) / 4 * 180 / Math.PI;
+        const closest = rotation + 90 * Math.round((currentRotation - rotation) / 90);
+        return ((closest % 360) + 360) % 360;
+    }
+
+    /**
+     * Get the least-squares intersection of the vanes (relative to the frame center), or null
+     */
+    getIntersection(vanes) {
+        const minAngle = this.settings.minIntersectionAngle * Math.PI / 180;
+        const crossing = vanes.some(vane => vanes.some(other => {
+            const difference = Math.abs(Math.sin(vane.angle - other.angle));
+            return difference >= Math.sin(minAngle);
+        }));
+
+        if (!crossing) {
+            return null;
+        }
+
+        // Minimize the weighted squared distances to all vane lines
+        let sumXX = 0, sumXY = 0, sumYY = 0, sumX = 0, sumY = 0;
+        vanes.forEach(vane => {
+            const normalX = Math.cos(vane.angle);
+            const normalY = Math.sin(vane.angle);
+            sumXX += vane.votes * normalX * normalX;
+            sumXY += vane.votes * normalX * normalY;
+            sumYY += vane.votes * normalY * normalY;
+            sumX += vane.votes * normalX * vane.rho;
+            sumY += vane.votes * normalY * vane.rho;
+        });
+
+        const solution = ImageUtils.solveLinearSystem([[sumXX, sumXY], [sumXY, sumYY]], [sumX, sumY]);
+        return solution ? { x: solution[0], y: solution[1] } : null;
+    }
+
+    /**
+     * Draw the vanes, their intersection and its offset from the crosshair center
+     */
+    render(result, overlayRenderer, group) {
+        if (!result.found) return;
+
+        result.vanes.forEach(vane => {
+            overlayRenderer.addLine(vane.start.x, vane.start.y, vane.end.x, vane.end.y, {
+                color: '#44ddff',
+                lineWidth: 1,
+                opacity: 0.6,
+                dashed: true,
+                group
+            });
+        });
+
+        if (result.intersection) {
+            overlayRenderer.addPoint(result.intersection.x, result.intersection.y, { color: '#ff9900', radius: 4, group });
+            overlayRenderer.addLine(result.reticle.x, result.reticle.y, result.intersection.x, result.intersection.y, {
+                color: '#ff9900',
+                lineWidth: 1,
+                group
+            });
+        }
+    }
+
+    /**
+     * Get the readout lines for the HUD
+     */
+    getHudLines(result) {
+        const lines = [{ text: 'Cheshire', color: '#e6edf3' }];
+
+        if (!result.found) {
+            lines.push({ text: 'No spider vanes found', color: '#8b949e' });
+            return lines;
+        }
+
+        lines.push({
+            text: `Vanes      ${result.vanes.length}, rotation ${result.rotation.toFixed(1)}°`,
+            color: '#44ddff'
+        });
+
+        if (result.intersection) {
+            lines.push({
+                text: `Vane cross ${result.offsetPixels.toFixed(1)} px ${result.offsetPercent.toFixed(1)}% off center`,
+                color: '#ff9900'
+            });
+        } else {
+            lines.push({ text: 'Vanes do not cross in view', color: '#8b949e' });
+        }
+
+        return lines;
+    }
+}
\ No newline at end of file
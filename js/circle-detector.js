@@ -0,0 +1,293 @@
+/**
+ * CircleDetector - Finds circular edges (focuser drawtube, mirror rims) in video frames
+ */
+class CircleDetector {
+    constructor() {
+        this.settings = {
+            edgePercentile: 0.9,    // Keep the strongest 10% of gradients as edge pixels
+            minEdgeMagnitude: 24,   // Ignore gradients weaker than this (Sobel units)
+            radialTolerance: 0.9,   // Min cosine between gradient and radius for an edge to count
+            inlierDistance: 3,      // Max distance in pixels from the circle for fit refinement
+            refineIterations: 3,    // Least-squares refinement passes
+            minScore: 0.25,         // Min fraction of the circumference that must be covered by edges
+            maxCandidates: 5        // Number of center candidates evaluated per search
+        };
+    }
+
+    /**
+     * Compute the edge map of an image (Sobel gradients of the blurred luminance)
+     */
+    computeEdges(imageData) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const gray = ImageUtils.boxBlur(ImageUtils.toGrayscale(imageData), width, height);
+        const gradients = ImageUtils.computeGradients(gray, width, height);
+        const threshold = this.getEdgeThreshold(gradients.magnitude);
+
+        const points = [];
+        for (let index = 0; index < gradients.magnitude.length; index++) {
+            if (gradients.magnitude[index] >= threshold) {
+                points.push(index);
+            }
+        }
+
+        return {
+            width,
+            height,
+            gradientX: gradients.gradientX,
+            gradientY: gradients.gradientY,
+            magnitude: gradients.magnitude,
+            points
+        };
+    }
+
+    /**
+     * Get the gradient magnitude above which a pixel counts as an edge
+     */
+    getEdgeThreshold(magnitude) {
+        const binCount = 2048;
+        const maxMagnitude = 1443; // Largest possible Sobel magnitude for 8-bit input
+        const histogram = new Uint32Array(binCount);
+
+        for (let index = 0; index < magnitude.length; index++) {
+            histogram[Math.min(binCount - 1, Math.floor(magnitude[index] / maxMagnitude * binCount))]++;
+        }
+
+        const targetCount = magnitude.length * this.settings.edgePercentile;
+        let cumulative = 0;
+        for (let bin = 0; bin < binCount; bin++) {
+            cumulative += histogram[bin];
+            if (cumulative >= targetCount) {
+                return Math.max(this.settings.minEdgeMagnitude, (bin + 1) / binCount * maxMagnitude);
+            }
+        }
+
+        return maxMagnitude;
+    }
+
+    /**
+     * Find the strongest circle in an edge map
+     * Options:
+     * - minRadius / maxRadius: radius search range in pixels
+     * - bounds: optional {x, y, radius}; only edges inside this circle are used
+     */
+    findCircle(edges, options) {
+        const { width, height, gradientX, gradientY, magnitude } = edges;
+        const minRadius = Math.max(3, Math.floor(options.minRadius));
+        const maxRadius = Math.min(Math.ceil(options.maxRadius), Math.ceil(Math.hypot(width, height)));
+
+        if (maxRadius <= minRadius) {
+            return null;
+        }
+
+        const points = this.selectEdgePoints(edges, options.bounds);
+        if (points.length < 8) {
+            return null;
+        }
+
+        // Each edge pixel votes for centers along its gradient direction (both ways,
+        // since the circle can be brighter or darker than its surroundings)
+        const accumulator = new Float32Array(width * height);
+        points.forEach(index => {
+            const x = index % width;
+            const y = (index - x) / width;
+            const directionX = gradientX[index] / magnitude[index];
+            const directionY = gradientY[index] / magnitude[index];
+
+            for (let radius = minRadius; radius <= maxRadius; radius++) {
+                const offsetX = directionX * radius;
+                const offsetY = directionY * radius;
+
+                const forwardX = Math.round(x + offsetX);
+                const forwardY = Math.round(y + offsetY);
+                if (forwardX >= 0 && forwardX < width && forwardY >= 0 && forwardY < height) {
+                    accumulator[forwardY * width + forwardX]++;
+                }
+
+                const backwardX = Math.round(x - offsetX);
+                const backwardY = Math.round(y - offsetY);
+                if (backwardX >= 0 && backwardX < width && backwardY >= 0 && backwardY < height) {
+                    accumulator[backwardY * width + backwardX]++;
+                }
+            }
+        });
+
+        // Several circles can share an area (drawtube, mirror, clips), so evaluate the
+        // strongest center candidates and keep the one with the most edge support
+        const smoothed = ImageUtils.boxBlur(accumulator, width, height);
+        const candidates = this.findPeaks(smoothed, width, height, Math.max(3, minRadius / 2));
+
+        let best = null;
+        candidates.forEach(candidate => {
+            const fit = this.findRadius(edges, points, candidate.x, candidate.y, minRadius, maxRadius);
+            if (fit && (!best || fit.strength > best.strength)) {
+                best = { x: candidate.x, y: candidate.y, radius: fit.radius, strength: fit.strength };
+            }
+        });
+
+        if (!best) {
+            return null;
+        }
+
+        return this.refineCircle(edges, points, best);
+    }
+
+    /**
+     * Find the highest local maxima of an accumulator, at least minDistance apart
+     */
+    findPeaks(accumulator, width, height, minDistance) {
+        const peaks = [];
+        const values = Float32Array.from(accumulator);
+        const suppressRadius = Math.ceil(minDistance);
+
+        for (let peakIndex = 0; peakIndex < this.settings.maxCandidates; peakIndex++) {
+            let bestIndex = -1;
+            let bestValue = 0;
+            for (let index = 0; index < values.length; index++) {
+                if (values[index] > bestValue) {
+                    bestValue = values[index];
+                    bestIndex = index;
+                }
+            }
+
+            if (bestIndex < 0) {
+                break;
+            }
+
+            const peakX = bestIndex % width;
+            const peakY = (bestIndex - peakX) / width;
+            peaks.push({ x: peakX, y: peakY, votes: bestValue });
+
+            // Suppress the neighborhood so the next peak is a different center
+            for (let y = Math.max(0, peakY - suppressRadius); y <= Math.min(height - 1, peakY + suppressRadius); y++) {
+                for (let x = Math.max(0, peakX - suppressRadius); x <= Math.min(width - 1, peakX + suppressRadius); x++) {
+                    values[y * width + x] = 0;
+                }
+            }
+        }
+
+        return peaks;
+    }
+
+    /**
+     * Get edge pixel indices, optionally restricted to a bounding circle
+     */
+    selectEdgePoints(edges, bounds) {
+        if (!bounds) {
+            return edges.points;
+        }
+
+        const boundsRadiusSquared = bounds.radius * bounds.radius;
+        return edges.points.filter(index => {
+            const x = index % edges.width;
+            const y = (index - x) / edges.width;
+            const deltaX = x - bounds.x;
+            const deltaY = y - bounds.y;
+            return deltaX * deltaX + deltaY * deltaY <= boundsRadiusSquared;
+        });
+    }
+
+    /**
+     * Find the radius with the strongest edge around a given center
+     * Only radii where edges cover enough of the circumference are considered.
+     */
+    findRadius(edges, points, centerX, centerY, minRadius, maxRadius) {
+        const counts = new Float32Array(maxRadius + 2);
+        const strengths = new Float32Array(maxRadius + 2);
+
+        points.forEach(index => {
+            const radial = this.getRadialDistance(edges, index, centerX, centerY);
+            if (radial && radial.distance >= minRadius && radial.distance <= maxRadius) {
+                const bin = Math.round(radial.distance);
+                counts[bin]++;
+                strengths[bin] += edges.magnitude[index];
+            }
+        });
+
+        // Use a 3-pixel wide band to tolerate slightly elliptical or noisy edges
+        let best = null;
+        for (let radius = minRadius; radius <= maxRadius; radius++) {
+            const votes = counts[radius - 1] + counts[radius] + counts[radius + 1];
+            const coverage = votes / (2 * Math.PI * radius);
+            const strength = strengths[radius - 1] + strengths[radius] + strengths[radius + 1];
+
+            if (coverage >= this.settings.minScore && (!best || strength > best.strength)) {
+                best = { radius, coverage, strength };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Refine a circle with a least-squares fit through its edge pixels and score it
+     */
+    refineCircle(edges, points, circle) {
+        let refined = circle;
+        let inliers = this.collectInliers(edges, points, refined);
+
+        // A few fit iterations let the inlier band settle onto the actual edge
+        for (let iteration = 0; iteration < this.settings.refineIterations; iteration++) {
+            const fitted = ImageUtils.fitCircle(inliers);
+
+            // Only accept fits that stay close to the Hough estimate
+            if (!fitted || Math.hypot(fitted.x - circle.x, fitted.y - circle.y) > circle.radius * 0.2 ||
+                Math.abs(fitted.radius - circle.radius) > circle.radius * 0.2) {
+                break;
+            }
+
+            refined = fitted;
+            inliers = this.collectInliers(edges, points, refined);
+        }
+
+        const score = Math.min(1, inliers.length / (2 * Math.PI * refined.radius));
+        if (score < this.settings.minScore) {
+            return null;
+        }
+
+        return { x: refined.x, y: refined.y, radius: refined.radius, score };
+    }
+
+    /**
+     * Collect edge pixels lying on a circle with a gradient pointing along its radius
+     */
+    collectInliers(edges, points, circle) {
+        const inliers = [];
+
+        points.forEach(index => {
+            const radial = this.getRadialDistance(edges, index, circle.x, circle.y);
+            if (radial && Math.abs(radial.distance - circle.radius) <= this.settings.inlierDistance) {
+                inliers.push({ x: radial.x, y: radial.y });
+            }
+        });
+
+        return inliers;
+    }
+
+    /**
+     * Get the distance of an edge pixel from a center if its gradient points along the radius
+     */
+    getRadialDistance(edges, index, centerX, centerY) {
+        const x = index % edges.width;
+        const y = (index - x) / edges.width;
+        const deltaX = x - centerX;
+        const deltaY = y - centerY;
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+
+        if (distance === 0) {
+            return null;
+        }
+
+        const alignment = Math.abs(deltaX * edges.gradientX[index] + deltaY * edges.gradientY[index]) /
+            (distance * edges.magnitude[index]);
+
+        return alignment >= this.settings.radialTolerance ? { x, y, distance } : null;
+    }
+
+    /**
+     * Detect the strongest circle in an image
+     */
+    detect(imageData, options) {
+        return this.findCircle(this.computeEdges(imageData), options);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * CollimationGuide - Turns measured ring offsets into screw adjustment advice
+ */
+class CollimationGuide {
+    constructor(telescopeProfile) {
+        this.telescopeProfile = telescopeProfile;
+
+        // Which mirror's screws move each ring
+        this.ringScrewGroups = {
+            primaryReflection: 'secondary',
+            spiderHub: 'primary'
+        };
+        this.groupLabels = {
+            primary: 'Pri',
+            secondary: 'Sec'
+        };
+        this.settings = {
+            minShare: 0.4,             // Screws needing less than this fraction of the largest turn are not shown
+            markerRadius: {            // Screw marker distance from the center, as a fraction of circle_1 radius
+                secondary: 1.12,
+                primary: 1.28
+            }
+        };
+    }
+
+    /**
+     * Build advice for every ring whose offset is beyond the tolerance
+     */
+    getAdvice(result) {
+        const tolerance = this.telescopeProfile.settings.tolerance;
+        const reticle = result.reticle;
+
+        return result.rings
+            .filter(ring => ring.found && this.ringScrewGroups[ring.id] && ring.offsetPercent > tolerance)
+            .map(ring => {
+                const group = this.ringScrewGroups[ring.id];
+                return {
+                    ring,
+                    group,
+                    calibrated: this.telescopeProfile.getCalibration(group) !== null,
+                    turns: this.getScrewTurns(
+                        group,
+                        (reticle.x - ring.x) / reticle.radius,
+                        (reticle.y - ring.y) / reticle.radius,
+                        reticle.radius
+                    )
+                };
+            });
+    }
+
+    /**
+     * Get how a clockwise quarter turn of each screw moves the image (in units of the given circle_1 radius)
+     * Uses the calibration when available, otherwise the screw positions: a turn then
+     * only gives a direction, not an amount.
+     */
+    getScrewResponses(group, radius) {
+        const screws = this.telescopeProfile.getScrews(group);
+        const calibration = this.telescopeProfile.getCalibration(group);
+
+        if (calibration) {
+            // Calibrations saved without their radius are taken as measured with the current one
+            const scale = calibration.radius && radius ? calibration.radius / radius : 1;
+            return screws.map((screw, screwIndex) => ({
+                ...screw,
+                responseX: calibration.responses[screwIndex].x * scale,
+                responseY: calibration.responses[screwIndex].y * scale
+            }));
+        }
+
+        const sign = this.telescopeProfile.settings.clockwiseMoves === 'away' ? -1 : 1;
+        return screws.map(screw => ({
+            ...screw,
+            responseX: screw.directionX * sign,
+            responseY: screw.directionY * sign
+        }));
+    }
+
+    /**
+     * Find which screws to turn, and which way, to move a feature by (correctionX, correctionY)
+     * The correction is in units of the circle_1 radius. Screw moves are combined with the
+     * smallest total turn (minimum-norm solution).
+     */
+    getScrewTurns(group, correctionX, correctionY, radius) {
+        const screws = this.getScrewResponses(group, radius);
+        if (screws.length === 0) {
+            return [];
+        }
+
+        // Solve a = Rᵀ(RRᵀ)⁻¹d where the columns of R are the screw responses
+        let sumXX = 0, sumXY = 0, sumYY = 0;
+        screws.forEach(screw => {
+            sumXX += screw.responseX * screw.responseX;
+            sumXY += screw.responseX * screw.responseY;
+            sumYY += screw.responseY * screw.responseY;
+        });
+
+        const determinant = sumXX * sumYY - sumXY * sumXY;
+        if (Math.abs(determinant) < 1e-12) {
+            return [];
+        }
+
+        const solvedX = (sumYY * correctionX - sumXY * correctionY) / determinant;
+        const solvedY = (sumXX * correctionY - sumXY * correctionX) / determinant;
+        const amounts = screws.map(screw => screw.responseX * solvedX + screw.responseY * solvedY);
+        const largest = Math.max(...amounts.map(Math.abs));
+
+        if (largest === 0) {
+            return [];
+        }
+
+        // Positive amounts are clockwise quarter turns
+        const calibrated = this.telescopeProfile.getCalibration(group) !== null;
+        const turns = screws
+            .map((screw, screwIndex) => ({
+                name: screw.name,
+                clock: screw.clock,
+                share: Math.abs(amounts[screwIndex]) / largest,
+                clockwise: amounts[screwIndex] > 0,
+                quarterTurns: calibrated ? Math.round(Math.abs(amounts[screwIndex])) : null
+            }))
+            .sort((first, second) => second.share - first.share);
+
+        if (!calibrated) {
+            return turns.filter(turn => turn.share >= this.settings.minShare);
+        }
+
+        // Corrections smaller than a quarter turn still get the main screw as a nudge
+        const wholeTurns = turns.filter(turn => turn.quarterTurns > 0);
+        return wholeTurns.length > 0 ? wholeTurns : [turns[0]];
+    }
+
+    /**
+     * Draw correction arrows and screw markers
+     */
+    render(result, advice, overlayRenderer, group) {
+        const reticle = result.reticle;
+
+        advice.forEach(item => {
+            overlayRenderer.addLine(item.ring.x, item.ring.y, reticle.x, reticle.y, {
+                color: item.ring.color,
+                lineWidth: 2,
+                arrow: true,
+                group
+            });
+
+            const markerRadius = reticle.radius * this.settings.markerRadius[item.group];
+            this.telescopeProfile.getScrews(item.group).forEach(screw => {
+                const turn = item.turns.find(candidate => candidate.name === screw.name);
+                const label = `${this.groupLabels[item.group]} ${screw.name}` +
+                    (turn ? ` ${this.getTurnText(turn)}` : '');
+
+                overlayRenderer.addPoint(
+                    reticle.x + screw.directionX * markerRadius,
+                    reticle.y + screw.directionY * markerRadius,
+                    {
+                        color: turn ? item.ring.color : '#8b949e',
+                        radius: turn ? 5 : 3,
+                        label,
+                        group
+                    }
+                );
+            });
+        });
+    }
+
+    /**
+     * Get the HUD lines describing the advice
+     */
+    getHudLines(result, advice) {
+        const guidedRings = result.rings.filter(ring => ring.found && this.ringScrewGroups[ring.id]);
+        if (guidedRings.length === 0) {
+            return [];
+        }
+
+        if (advice.length === 0) {
+            return [{ text: 'Within tolerance', color: '#3fb950' }];
+        }
+
+        const lines = [];
+        advice.forEach(item => {
+            const groupName = item.group === 'primary' ? 'primary' : 'secondary';
+
+            if (!item.calibrated) {
+                lines.push({
+                    text: `${item.ring.label}: ${this.groupLabels[item.group]} ` +
+                        item.turns.map(turn => `${turn.name} ${this.getTurnText(turn)}`).join(' '),
+                    color: item.ring.color
+                });
+                return;
+            }
+
+            item.turns.forEach(turn => {
+                lines.push({
+                    text: `${item.ring.label}: turn ${groupName} screw ${turn.name} ` +
+                        `${this.describeQuarterTurns(turn.quarterTurns)} ` +
+                        `${turn.clockwise ? 'clockwise' : 'counter-clockwise'}`,
+                    color: item.ring.color
+                });
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Get the short marker text for a turn (direction, and amount when calibrated)
+     */
+    getTurnText(turn) {
+        if (turn.quarterTurns === null) {
+            return this.getTurnSymbol(turn);
+        }
+
+        const whole = Math.floor(turn.quarterTurns / 4);
+        const fraction = ['', '¼', '½', '¾'][turn.quarterTurns % 4];
+        const amount = turn.quarterTurns === 0 ? '<¼' : `${whole > 0 ? whole : ''}${fraction}`;
+        return `${amount}${this.getTurnSymbol(turn)}`;
+    }
+
+    /**
+     * Describe a number of quarter turns in words
+     */
+    describeQuarterTurns(quarterTurns) {
+        const descriptions = ['slightly', 'a quarter turn', 'half a turn', 'three quarters of a turn', 'one full turn'];
+        return descriptions[quarterTurns] || `${quarterTurns / 4} turns`;
+    }
+
+    /**
+     * Get the symbol for a turn direction
+     */
+    getTurnSymbol(turn) {
+        return turn.clockwise ? '↻' : '↺';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * ConcentricityAnalyzer - Measures how far the visible optical rings are from the crosshair center
+ */
+class ConcentricityAnalyzer {
+    constructor(circleDetector, collimationGuide = null) {
+        this.circleDetector = circleDetector;
+        this.collimationGuide = collimationGuide;
+        this.maxFrameSize = 256; // Analysis resolution (longest side), kept low for per-frame updates
+
+        // Ring search bands as fractions of circle_1 radius, outermost first.
+        // Each ring is searched inside the ring found before it.
+        this.rings = [
+            { id: 'secondaryOutline', label: 'Secondary', color: '#ff9900', minRadius: 0.45, maxRadius: 0.95 },
+            { id: 'primaryReflection', label: 'Primary', color: '#ff44cc', minRadius: 0.25, maxRadius: 0.75 },
+            { id: 'spiderHub', label: 'Hub', color: '#44ddff', minRadius: 0.04, maxRadius: 0.25 }
+        ];
+        this.settings = {
+            nestingRatio: 0.9,     // An inner ring must be smaller than this fraction of the ring around it
+            boundsMargin: 1.05     // Edges up to this fraction of circle_1 radius are used
+        };
+    }
+
+    /**
+     * Get the content region to analyze: the area around circle_1
+     */
+    getRegion(reticle) {
+        const halfSize = reticle.radius * this.settings.boundsMargin;
+        return {
+            x: reticle.x - halfSize,
+            y: reticle.y - halfSize,
+            width: halfSize * 2,
+            height: halfSize * 2
+        };
+    }
+
+    /**
+     * Find each ring and measure its offset from the crosshair center
+     */
+    analyze(context) {
+        const { frame, frameGrabber, reticle, sourceScale } = context;
+        const frameCenter = frameGrabber.toFramePoint(frame, reticle.x, reticle.y);
+        const frameRadius = reticle.radius * frame.scale;
+        let edges = this.circleDetector.computeEdges(frame.imageData);
+        const bounds = { x: frameCenter.x, y: frameCenter.y, radius: frameRadius * this.settings.boundsMargin };
+
+        let enclosingRadius = frameRadius / this.settings.nestingRatio;
+        const rings = this.rings.map(ring => {
+            const circle = this.circleDetector.findCircle(edges, {
+                minRadius: ring.minRadius * frameRadius,
+                maxRadius: Math.min(ring.maxRadius * frameRadius, enclosingRadius * this.settings.nestingRatio),
+                bounds
+            });
+
+            if (!circle) {
+                return { id: ring.id, label: ring.label, color: ring.color, found: false };
+            }
+
+            // Inner rings must not reuse the edges of this one
+            enclosingRadius = circle.radius;
+            edges = this.removeCircleEdges(edges, circle);
+
+            const center = frameGrabber.toContentPoint(frame, circle.x, circle.y);
+            const offsetX = center.x - reticle.x;
+            const offsetY = center.y - reticle.y;
+            const offset = Math.hypot(offsetX, offsetY);
+
+            return {
+                id: ring.id,
+                label: ring.label,
+                color: ring.color,
+                found: true,
+                x: center.x,
+                y: center.y,
+                radius: circle.radius / frame.scale,
+                score: circle.score,
+                offsetX,
+                offsetY,
+                offsetPixels: offset * sourceScale,         // In camera pixels
+                offsetPercent: offset / reticle.radius * 100  // In percent of circle_1 radius
+            };
+        });
+
+        const result = { reticle, rings };
+        result.advice = this.collimationGuide ? this.collimationGuide.getAdvice(result) : [];
+        return result;
+    }
+
+    /**
+     * Get a copy of an edge map without the edge pixels lying on a circle
+     */
+    removeCircleEdges(edges, circle) {
+        const margin = this.circleDetector.settings.inlierDistance + 1;
+
+        return {
+            ...edges,
+            points: edges.points.filter(index => {
+                const x = index % edges.width;
+                const y = (index - x) / edges.width;
+                return Math.abs(Math.hypot(x - circle.x, y - circle.y) - circle.radius) > margin;
+            })
+        };
+    }
+
+    /**
+     * Draw the detected rings and their centers
+     */
+    render(result, overlayRenderer, group) {
+        result.rings.forEach(ring => {
+            if (!ring.found) return;
+
+            overlayRenderer.addCircle(ring.x, ring.y, ring.radius, {
+                color: ring.color,
+                lineWidth: 1,
+                opacity: 0.8,
+                group
+            });
+            overlayRenderer.addPoint(ring.x, ring.y, {
+                color: ring.color,
+                radius: 3,
+                group
+            });
+        });
+
+        if (this.collimationGuide) {
+            this.collimationGuide.render(result, result.advice, overlayRenderer, group);
+        }
+    }
+
+    /**
+     * Get the readout lines for the HUD
+     */
+    getHudLines(result) {
+        const lines = [{ text: 'Offset from center', color: '#e6edf3' }];
+
+        result.rings.forEach(ring => {
+            const label = ring.label.padEnd(10);
+            if (ring.found) {
+                lines.push({
+                    text: `${label}${ring.offsetPixels.toFixed(1).padStart(6)} px ${ring.offsetPercent.toFixed(1).padStart(5)}%`,
+                    color: ring.color
+                });
+            } else {
+                lines.push({ text: `${label}    not found`, color: '#8b949e' });
+            }
+        });
+
+        if (this.collimationGuide) {
+            lines.push(...this.collimationGuide.getHudLines(result, result.advice));
+        }
+
+        return lines;
+    }
+}
\ No newline at end of file
@@ -70,6 +70,14 @@ class CrosshairController {
         this.circle2Visible = false; // Hidden by default - green circle
         this.circle3Visible = false; // Hidden by default - cyan circle for advanced use
 
+        // Ellipse reticle for tilted secondaries; the angle is in image coordinates, not crosshair rotation
+        this.ellipseReticle = {
+            visible: false,
+            size: 0.8,  // Major axis as a fraction of circle_1 diameter
+            ratio: 0.9, // Minor axis divided by major axis
+            angle: 0    // Major axis angle in degrees, clockwise from horizontal
+        };
+
         // Rotation state
         this.rotationAngle = 45; // Current rotation angle in degrees (45° to match X icon)
         this.rotationStep = 1.25; // Degrees per scroll step (very fine rotation control)
@@ -656,6 +664,7 @@ class CrosshairController {
             // Combine rotation and translation transforms
             const transform = `translate(${this.centerOffsetX}px, ${this.centerOffsetY}px) rotate(${this.rotationAngle}deg)`;
             this.crosshair.style.transform = transform;
+            this.updateEllipseReticle();
         }
     }
 
@@ -668,6 +677,15 @@ class CrosshairController {
         this.dispatchCrosshairEvent('rotationReset', { angle: this.rotationAngle });
     }
 
+    /**
+     * Set crosshair rotation in degrees
+     */
+    setRotation(angle) {
+        this.rotationAngle = ((angle % 360) + 360) % 360;
+        this.applyCrosshairRotation();
+        this.dispatchCrosshairEvent('rotationChanged', { angle: this.rotationAngle });
+    }
+
     /**
      * Toggle circle_1 (yellow circle) visibility
      */
@@ -1218,6 +1236,7 @@ class CrosshairController {
                 circle1.style.border = `2px solid ${color}`;
                 circle1.style.display = this.circle1Visible ? 'block' : 'none';
                 this.updateCrosshairLines(size);
+                this.updateEllipseReticle();
                 this.dispatchCrosshairEvent('circle1Changed', { size, color });
             }
         }
@@ -1255,6 +1274,86 @@ class CrosshairController {
         }
     }
 
+    /**
+     * Get the crosshair center in container coordinates
+     */
+    getCenterPosition() {
+        return {
+            x: (this.container.clientWidth / 2) + this.centerOffsetX,
+            y: (this.container.clientHeight / 2) + this.centerOffsetY
+        };
+    }
+
+    /**
+     * Get the current circle_1 diameter in container pixels
+     */
+    getCircle1Size() {
+        return this.circle1SizeControl.currentSize;
+    }
+
+    /**
+     * Get the crosshair center, circle_1 radius (content coordinates) and rotation (degrees)
+     */
+    getReticle() {
+        const center = this.getCenterPosition();
+        const contentCenter = this.zoomController.containerToContent(center.x, center.y);
+
+        return {
+            x: contentCenter.x,
+            y: contentCenter.y,
+            radius: this.getCircle1Size() / 2 / this.zoomController.scale,
+            rotation: this.rotationAngle
+        };
+    }
+
+    /**
+     * Snap circle_1 onto a circle given in container coordinates and move the crosshair center to it
+     */
+    snapCircle1To(centerX, centerY, diameter) {
+        const containerWidth = this.container.clientWidth;
+        const containerHeight = this.container.clientHeight;
+        const safetyMargin = 5; // 5 pixel safety buffer from edges
+
+        // Keep circle_1 within the container, same limits as manual resizing
+        const maxDiameter = Math.min(containerWidth, containerHeight) - safetyMargin * 2;
+        const circle1Size = Math.round(Math.max(50, Math.min(maxDiameter, diameter)));
+        const circle1Radius = circle1Size / 2;
+
+        // Scale circle_2 and circle_3 along with circle_1 so the reticle keeps its proportions
+        const sizeRatio = circle1Size / this.circle1SizeControl.currentSize;
+        const circle2Size = Math.max(this.circle2SizeControl.borderWidth * 10, Math.round(this.circle2SizeControl.currentSize * sizeRatio));
+        const circle3Size = Math.max(this.circle3SizeControl.borderWidth * 10, Math.round(this.circle3SizeControl.currentSize * sizeRatio));
+
+        this.circle1SizeControl.currentSize = circle1Size;
+        this.circle2SizeControl.currentSize = circle2Size;
+        this.circle3SizeControl.currentSize = circle3Size;
+
+        this.setCircle1(circle1Size, 'rgba(255, 255, 0, 0.8)');
+        this.setCircle2(circle2Size, 'rgba(60, 200, 60, 0.8)');
+        this.setCircle3(circle3Size, 'rgba(60, 120, 200, 0.8)');
+        this.updateCircleSizes();
+
+        // Constrain center position so circle_1 stays within bounds plus safety margin
+        const constrainedCenterX = Math.max(
+            circle1Radius + safetyMargin,
+            Math.min(containerWidth - circle1Radius - safetyMargin, centerX)
+        );
+        const constrainedCenterY = Math.max(
+            circle1Radius + safetyMargin,
+            Math.min(containerHeight - circle1Radius - safetyMargin, centerY)
+        );
+
+        this.centerOffsetX = constrainedCenterX - containerWidth / 2;
+        this.centerOffsetY = constrainedCenterY - containerHeight / 2;
+        this.updateCenterPosition();
+
+        this.dispatchCrosshairEvent('circle1Snapped', {
+            centerX: constrainedCenterX,
+            centerY: constrainedCenterY,
+            circle1Size: circle1Size
+        });
+    }
+
     /**
      * Reset center position to default (center of container)
      */
@@ -1302,6 +1401,43 @@ class CrosshairController {
         }
     }
 
+    /**
+     * Set ellipse reticle properties (any of visible, size, ratio, angle)
+     */
+    setEllipseReticle(options) {
+        const ellipse = { ...this.ellipseReticle, ...options };
+        ellipse.size = Math.max(0.1, Math.min(1.5, ellipse.size));
+        ellipse.ratio = Math.max(0.3, Math.min(1, ellipse.ratio));
+        ellipse.angle = ((ellipse.angle % 180) + 180) % 180;
+
+        this.ellipseReticle = ellipse;
+        this.updateEllipseReticle();
+        this.dispatchCrosshairEvent('ellipseChanged', { ...ellipse });
+    }
+
+    /**
+     * Get the ellipse reticle properties
+     */
+    getEllipseReticle() {
+        return { ...this.ellipseReticle };
+    }
+
+    /**
+     * Apply the ellipse reticle state to its element
+     */
+    updateEllipseReticle() {
+        const element = this.crosshair?.querySelector('.ellipse_reticle');
+        if (!element) return;
+
+        const majorAxis = this.ellipseReticle.size * this.circle1SizeControl.currentSize;
+        element.style.width = `${majorAxis}px`;
+        element.style.height = `${majorAxis * this.ellipseReticle.ratio}px`;
+
+        // The crosshair itself is rotated, so undo that to keep the angle in image coordinates
+        element.style.transform = `translate(-50%, -50%) rotate(${this.ellipseReticle.angle - this.rotationAngle}deg)`;
+        element.style.display = this.ellipseReticle.visible ? 'block' : 'none';
+    }
+
     /**
      * Show/hide circles
      */
@@ -0,0 +1,314 @@
+/**
+ * CurveEditor - Draggable tone curve and gamma control for the ExposureController
+ *
+ * The curve maps the exposure/contrast/gamma adjusted value (x) to the output value (y).
+ * A histogram of the curve's input is drawn behind it while the panel is open.
+ */
+class CurveEditor {
+    constructor(exposureController, videoElement, containerElement) {
+        this.exposureController = exposureController;
+        this.video = videoElement;
+        this.frameGrabber = new FrameGrabber(videoElement, containerElement); // Raw frames for the histogram
+        this.elements = {
+            curveToggleBtn: document.getElementById('curveToggleBtn'),
+            curvePanel: document.getElementById('curvePanel'),
+            curveCanvas: document.getElementById('curveCanvas'),
+            gammaSlider: document.getElementById('gammaSlider'),
+            gammaValue: document.getElementById('gammaValue'),
+            resetCurveBtn: document.getElementById('resetCurveBtn')
+        };
+        this.canvasContext = this.elements.curveCanvas ? this.elements.curveCanvas.getContext('2d') : null;
+        this.settings = {
+            histogramInterval: 250, // Histogram refresh while the panel is open (ms)
+            histogramSize: 160,     // Longest side of the frame sampled for the histogram
+            pointRadius: 5,         // Control point size and grab distance in canvas pixels
+            minPointGap: 0.02       // Min horizontal distance between control points (0-1)
+        };
+        this.histogram = null;
+        this.histogramInterval = null;
+        this.dragIndex = -1;
+        this.isVisible = false;
+    }
+
+    /**
+     * Initialize curve editor
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.curveToggleBtn) {
+            this.elements.curveToggleBtn.addEventListener('click', () => {
+                this.setVisible(!this.isVisible);
+            });
+        }
+
+        if (this.elements.gammaSlider) {
+            this.elements.gammaSlider.addEventListener('input', (event) => {
+                this.exposureController.setCurve({ gamma: parseFloat(event.target.value) });
+            });
+        }
+
+        if (this.elements.resetCurveBtn) {
+            this.elements.resetCurveBtn.addEventListener('click', () => {
+                this.exposureController.setCurve(this.exposureController.getDefaultCurve());
+            });
+        }
+
+        const canvas = this.elements.curveCanvas;
+        if (canvas) {
+            canvas.addEventListener('mousedown', (event) => {
+                this.handleMouseDown(event);
+            });
+
+            canvas.addEventListener('dblclick', (event) => {
+                this.handleDoubleClick(event);
+            });
+
+            document.addEventListener('mousemove', (event) => {
+                if (this.dragIndex >= 0) {
+                    this.movePoint(this.dragIndex, this.getCurvePosition(event));
+                }
+            });
+
+            document.addEventListener('mouseup', () => {
+                this.dragIndex = -1;
+            });
+        }
+
+        // Redraw whenever the curve or the adjustments feeding it change
+        this.video.addEventListener('exposureChanged', () => {
+            this.updateControls();
+        });
+    }
+
+    /**
+     * Show or hide the curve panel; the histogram only updates while it is shown
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+
+        if (this.elements.curvePanel) {
+            this.elements.curvePanel.style.display = visible ? 'block' : 'none';
+        }
+        if (this.elements.curveToggleBtn) {
+            this.elements.curveToggleBtn.classList.toggle('active', visible);
+        }
+
+        clearInterval(this.histogramInterval);
+        this.histogramInterval = null;
+
+        if (visible) {
+            this.histogramInterval = setInterval(() => {
+                this.updateHistogram();
+                this.draw();
+            }, this.settings.histogramInterval);
+        }
+
+        this.draw();
+    }
+
+    /**
+     * Count the channel values of the current raw frame as seen by the curve (after exposure and gamma)
+     */
+    updateHistogram() {
+        const frame = this.frameGrabber.grabFrame({ maxSize: this.settings.histogramSize });
+        if (!frame) {
+            this.histogram = null;
+            return;
+        }
+
+        const counts = new Uint32Array(256);
+        const data = frame.imageData.data;
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+            counts[data[dataIndex]]++;
+            counts[data[dataIndex + 1]]++;
+            counts[data[dataIndex + 2]]++;
+        }
+
+        const baseTable = this.exposureController.createBaseTable();
+        this.histogram = new Float32Array(256);
+        for (let value = 0; value < 256; value++) {
+            this.histogram[Math.round(baseTable[value])] += counts[value];
+        }
+    }
+
+    /**
+     * Grab a control point or add one where the curve was clicked
+     */
+    handleMouseDown(event) {
+        event.preventDefault();
+        const position = this.getCurvePosition(event);
+        const points = this.exposureController.settings.curve.points;
+
+        const index = this.findPoint(event);
+        if (index >= 0) {
+            this.dragIndex = index;
+            return;
+        }
+
+        const tooClose = points.some(point => Math.abs(point.x - position.x) < this.settings.minPointGap);
+        if (tooClose) {
+            return;
+        }
+
+        const newPoints = [...points, position].sort((first, second) => first.x - second.x);
+        this.exposureController.setCurve({ points: newPoints });
+        this.dragIndex = newPoints.indexOf(position);
+    }
+
+    /**
+     * Remove an inner control point on double-click
+     */
+    handleDoubleClick(event) {
+        const points = this.exposureController.settings.curve.points;
+        const index = this.findPoint(event);
+
+        if (index > 0 && index < points.length - 1) {
+            this.exposureController.setCurve({ points: points.filter((point, pointIndex) => pointIndex !== index) });
+        }
+    }
+
+    /**
+     * Move a control point, keeping it between its neighbors
+     */
+    movePoint(index, position) {
+        const points = this.exposureController.settings.curve.points.map(point => ({ ...point }));
+        const gap = this.settings.minPointGap;
+        const minX = index > 0 ? points[index - 1].x + gap : 0;
+        const maxX = index < points.length - 1 ? points[index + 1].x - gap : 1;
+
+        points[index] = {
+            x: Math.max(minX, Math.min(maxX, position.x)),
+            y: Math.max(0, Math.min(1, position.y))
+        };
+        this.exposureController.setCurve({ points });
+    }
+
+    /**
+     * Find the control point under the mouse, or -1
+     */
+    findPoint(event) {
+        const canvas = this.elements.curveCanvas;
+        const position = this.getCurvePosition(event);
+        const points = this.exposureController.settings.curve.points;
+        let bestIndex = -1;
+        let bestDistance = this.settings.pointRadius * 2;
+
+        points.forEach((point, index) => {
+            const distance = Math.hypot(
+                (point.x - position.x) * canvas.width,
+                (point.y - position.y) * canvas.height
+            );
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        });
+
+        return bestIndex;
+    }
+
+    /**
+     * Convert a mouse event to curve coordinates (0-1, y up)
+     */
+    getCurvePosition(event) {
+        const rect = this.elements.curveCanvas.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)),
+            y: Math.max(0, Math.min(1, 1 - (event.clientY - rect.top) / rect.height))
+        };
+    }
+
+    /**
+     * Show the curve settings in the controls
+     */
+    updateControls() {
+        const gamma = this.exposureController.settings.curve.gamma;
+
+        if (this.elements.gammaSlider) {
+            this.elements.gammaSlider.value = gamma;
+        }
+        if (this.elements.gammaValue) {
+            this.elements.gammaValue.textContent = gamma.toFixed(2);
+        }
+
+        this.draw();
+    }
+
+    /**
+     * Draw the histogram, the curve and its control points
+     */
+    draw() {
+        if (!this.canvasContext || !this.isVisible) return;
+
+        const canvas = this.elements.curveCanvas;
+        const context = this.canvasContext;
+        const width = canvas.width;
+        const height = canvas.height;
+        const curveSettings = this.exposureController.settings.curve;
+
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = '#0d1117';
+        context.fillRect(0, 0, width, height);
+
+        // Quarter grid
+        context.strokeStyle = '#30363d';
+        context.lineWidth = 1;
+        for (let step = 1; step < 4; step++) {
+            context.beginPath();
+            context.moveTo(width * step / 4, 0);
+            context.lineTo(width * step / 4, height);
+            context.moveTo(0, height * step / 4);
+            context.lineTo(width, height * step / 4);
+            context.stroke();
+        }
+
+        // Histogram, square-root scaled so faint tones stay visible next to the dark background peak
+        if (this.histogram) {
+            const peak = Math.sqrt(Math.max(...this.histogram)) || 1;
+            context.fillStyle = 'rgba(139, 148, 158, 0.35)';
+            for (let value = 0; value < 256; value++) {
+                const barHeight = Math.sqrt(this.histogram[value]) / peak * height;
+                context.fillRect(value / 256 * width, height - barHeight, width / 256 + 0.5, barHeight);
+            }
+        }
+
+        // Identity line for reference
+        context.save();
+        context.setLineDash([4, 4]);
+        context.strokeStyle = '#484f58';
+        context.beginPath();
+        context.moveTo(0, height);
+        context.lineTo(width, 0);
+        context.stroke();
+        context.restore();
+
+        const curve = ImageUtils.createMonotoneCurve(curveSettings.points);
+        context.strokeStyle = '#ff9900';
+        context.lineWidth = 2;
+        context.beginPath();
+        for (let pixelX = 0; pixelX <= width; pixelX++) {
+            const pixelY = (1 - curve(pixelX / width)) * height;
+            if (pixelX === 0) {
+                context.moveTo(pixelX, pixelY);
+            } else {
+                context.lineTo(pixelX, pixelY);
+            }
+        }
+        context.stroke();
+
+        curveSettings.points.forEach((point, index) => {
+            context.fillStyle = index === this.dragIndex ? '#ffffff' : '#ff9900';
+            context.beginPath();
+            context.arc(point.x * width, (1 - point.y) * height, this.settings.pointRadius, 0, 2 * Math.PI);
+            context.fill();
+        });
+    }
+}
\ No newline at end of file
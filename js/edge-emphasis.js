@@ -0,0 +1,116 @@
+/**
+ * EdgeEmphasis - Tints Sobel edges over the processed frame to bring out faint outlines
+ *
+ * Runs as a display-only ImagePipeline stage before the view modes, so the analyzers keep
+ * reading the untinted frame. Edge strength is normalized to the frame's strongest edges,
+ * which makes a barely visible reflection outline as easy to follow as a bright one.
+ */
+class EdgeEmphasis {
+    constructor() {
+        this.storageKey = 'edgeEmphasis';
+        this.displayOnly = true;
+        this.elements = {
+            edgeSlider: document.getElementById('edgeSlider'),
+            edgeValue: document.getElementById('edgeValue')
+        };
+        this.settings = {
+            strength: 0,               // 0 to 100 (percentage)
+            color: [0, 255, 160],      // Edge tint (RGB)
+            referencePercentile: 0.99, // Edges this strong or stronger get the full tint
+            minReference: 8            // Keeps noise from being normalized up in flat frames
+        };
+    }
+
+    /**
+     * Initialize edge emphasis
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.edgeSlider) {
+            this.elements.edgeSlider.addEventListener('input', (event) => {
+                this.settings.strength = Math.max(0, Math.min(100, parseInt(event.target.value, 10)));
+                this.saveSettings();
+                this.updateControls();
+            });
+        }
+    }
+
+    /**
+     * Check if the stage should run (pipeline stage interface)
+     */
+    isActive() {
+        return this.settings.strength > 0;
+    }
+
+    /**
+     * Blend the edge tint into a frame in place (pipeline stage interface)
+     */
+    process(imageData) {
+        const { width, height, data } = imageData;
+        const gray = ImageUtils.boxBlur(ImageUtils.toGrayscale(imageData), width, height);
+        const magnitude = ImageUtils.computeGradients(gray, width, height).magnitude;
+
+        // Sobel magnitudes reach about 4x the intensity step; scale them to 0-255 for the percentile
+        const scaled = magnitude.map(value => value / 4);
+        const reference = Math.max(this.settings.minReference, ImageUtils.getPercentile(scaled, this.settings.referencePercentile));
+        const strength = this.settings.strength / 100;
+        const [tintRed, tintGreen, tintBlue] = this.settings.color;
+
+        for (let pixelIndex = 0, dataIndex = 0; pixelIndex < scaled.length; pixelIndex++, dataIndex += 4) {
+            const alpha = Math.min(1, scaled[pixelIndex] / reference) * strength;
+            if (alpha <= 0) continue;
+
+            data[dataIndex] += (tintRed - data[dataIndex]) * alpha;
+            data[dataIndex + 1] += (tintGreen - data[dataIndex + 1]) * alpha;
+            data[dataIndex + 2] += (tintBlue - data[dataIndex + 2]) * alpha;
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Show the edge strength in the controls
+     */
+    updateControls() {
+        if (this.elements.edgeSlider) {
+            this.elements.edgeSlider.value = this.settings.strength;
+        }
+        if (this.elements.edgeValue) {
+            this.elements.edgeValue.textContent = `${this.settings.strength}%`;
+        }
+    }
+
+    /**
+     * Save edge emphasis settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ strength: this.settings.strength }));
+        } catch (error) {
+            console.warn('Failed to save edge emphasis settings:', error);
+        }
+    }
+
+    /**
+     * Load edge emphasis settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                this.settings.strength = Math.max(0, Math.min(100, JSON.parse(saved).strength || 0));
+            }
+        } catch (error) {
+            console.warn('Failed to load edge emphasis settings:', error);
+        }
+    }
+}
\ No newline at end of file
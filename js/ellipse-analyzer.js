@@ -0,0 +1,224 @@
+/**
+ * EllipseAnalyzer - Fits an ellipse to the secondary outline (or focuser edge) inside circle_1
+ *
+ * A tilted secondary or a focuser that is not square to the tube shows an elliptical outline.
+ * The fit reports the axis ratio, the equivalent tilt and the center offset from the crosshair.
+ */
+class EllipseAnalyzer {
+    constructor(circleDetector) {
+        this.circleDetector = circleDetector;
+        this.maxFrameSize = 320; // Analysis resolution (longest side)
+        this.settings = {
+            minRadius: 0.3,        // Outline search band, as fractions of circle_1 radius
+            maxRadius: 0.95,
+            boundsMargin: 1.05,    // Region around circle_1 that is grabbed
+            radialTolerance: 0.7,  // Min cosine between gradient and radius (looser than circles)
+            sectorCount: 90,       // The strongest edge of each angular sector seeds the fit
+            inlierDistance: 2.5,   // Max distance in pixels from the ellipse for fit refinement
+            refineIterations: 3,
+            minScore: 0.4,         // Min fraction of the perimeter that must be covered by edges
+            minAxisRatio: 0.5      // Flatter fits are rejected as false detections
+        };
+    }
+
+    /**
+     * Get the content region to analyze: the area around circle_1
+     */
+    getRegion(reticle) {
+        const halfSize = reticle.radius * this.settings.boundsMargin;
+        return {
+            x: reticle.x - halfSize,
+            y: reticle.y - halfSize,
+            width: halfSize * 2,
+            height: halfSize * 2
+        };
+    }
+
+    /**
+     * Fit the outline ellipse and measure its shape and offset
+     */
+    analyze(context) {
+        const { frame, frameGrabber, reticle, sourceScale } = context;
+        const frameCenter = frameGrabber.toFramePoint(frame, reticle.x, reticle.y);
+        const frameRadius = reticle.radius * frame.scale;
+        const candidates = this.getCandidatePoints(frame.imageData, frameCenter, frameRadius);
+        const fitted = this.fitOutline(candidates);
+
+        if (!fitted) {
+            return { found: false, reticle };
+        }
+
+        const center = frameGrabber.toContentPoint(frame, fitted.ellipse.x, fitted.ellipse.y);
+        const offsetX = center.x - reticle.x;
+        const offsetY = center.y - reticle.y;
+        const offset = Math.hypot(offsetX, offsetY);
+        const axisRatio = fitted.ellipse.semiMinor / fitted.ellipse.semiMajor;
+
+        return {
+            found: true,
+            reticle,
+            ellipse: {
+                x: center.x,
+                y: center.y,
+                semiMajor: fitted.ellipse.semiMajor / frame.scale,
+                semiMinor: fitted.ellipse.semiMinor / frame.scale,
+                angle: fitted.ellipse.angle
+            },
+            score: fitted.score,
+            axisRatio,
+            tilt: Math.acos(axisRatio) * 180 / Math.PI,      // Tilt of a circle that projects to this ellipse
+            orientation: fitted.ellipse.angle * 180 / Math.PI, // Major axis, degrees clockwise from horizontal
+            offsetX,
+            offsetY,
+            offsetPixels: offset * sourceScale,               // In camera pixels
+            offsetPercent: offset / reticle.radius * 100,     // In percent of circle_1 radius
+            clock: offset > 0 ? ImageUtils.toClockPosition(offsetX, offsetY) : null
+        };
+    }
+
+    /**
+     * Get edge pixels in the search band whose gradient roughly points away from the crosshair center
+     */
+    getCandidatePoints(imageData, frameCenter, frameRadius) {
+        const edges = this.circleDetector.computeEdges(imageData);
+        const minRadius = frameRadius * this.settings.minRadius;
+        const maxRadius = frameRadius * this.settings.maxRadius;
+        const points = [];
+
+        edges.points.forEach(index => {
+            const x = index % edges.width;
+            const y = (index - x) / edges.width;
+            const deltaX = x - frameCenter.x;
+            const deltaY = y - frameCenter.y;
+            const distance = Math.hypot(deltaX, deltaY);
+            if (distance < minRadius || distance > maxRadius) return;
+
+            const alignment = Math.abs(deltaX * edges.gradientX[index] + deltaY * edges.gradientY[index]) /
+                (distance * edges.magnitude[index]);
+            if (alignment >= this.settings.radialTolerance) {
+                points.push({ x, y, strength: edges.magnitude[index], angle: Math.atan2(deltaY, deltaX) });
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * Seed an ellipse from the strongest edge in each sector, then refine it on all nearby edges
+     */
+    fitOutline(candidates) {
+        const sectorCount = this.settings.sectorCount;
+        const strongest = new Array(sectorCount).fill(null);
+
+        candidates.forEach(point => {
+            const sector = Math.floor((point.angle + Math.PI) / (2 * Math.PI) * sectorCount) % sectorCount;
+            if (!strongest[sector] || point.strength > strongest[sector].strength) {
+                strongest[sector] = point;
+            }
+        });
+
+        let points = strongest.filter(point => point);
+        let ellipse = ImageUtils.fitEllipse(points);
+        if (!ellipse) {
+            return null;
+        }
+
+        // Sectors where the outline is missing picked up something else; drop the worst seeds first
+        const residuals = points.map(point => this.getEllipseDistance(point, ellipse)).sort((a, b) => a - b);
+        const seedLimit = Math.max(this.settings.inlierDistance, residuals[Math.floor(residuals.length / 2)] * 3);
+        ellipse = ImageUtils.fitEllipse(points.filter(point => this.getEllipseDistance(point, ellipse) <= seedLimit));
+
+        for (let iteration = 0; ellipse && iteration < this.settings.refineIterations; iteration++) {
+            points = candidates.filter(point => this.getEllipseDistance(point, ellipse) <= this.settings.inlierDistance);
+            ellipse = ImageUtils.fitEllipse(points) || ellipse;
+        }
+
+        if (!ellipse || ellipse.semiMinor / ellipse.semiMajor < this.settings.minAxisRatio) {
+            return null;
+        }
+
+        const score = Math.min(1, points.length / this.getPerimeter(ellipse));
+        return score >= this.settings.minScore ? { ellipse, score } : null;
+    }
+
+    /**
+     * Get the approximate distance of a point from an ellipse, measured along the ray from its center
+     */
+    getEllipseDistance(point, ellipse) {
+        const deltaX = point.x - ellipse.x;
+        const deltaY = point.y - ellipse.y;
+        const cosine = Math.cos(ellipse.angle);
+        const sine = Math.sin(ellipse.angle);
+        const major = (deltaX * cosine + deltaY * sine) / ellipse.semiMajor;
+        const minor = (deltaY * cosine - deltaX * sine) / ellipse.semiMinor;
+        const scaled = Math.hypot(major, minor);
+
+        return scaled > 0 ? Math.hypot(deltaX, deltaY) * Math.abs(scaled - 1) / scaled : ellipse.semiMinor;
+    }
+
+    /**
+     * Get the perimeter of an ellipse (Ramanujan's approximation)
+     */
+    getPerimeter(ellipse) {
+        const a = ellipse.semiMajor;
+        const b = ellipse.semiMinor;
+        return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+    }
+
+    /**
+     * Draw the fitted ellipse, its axes and its offset from the crosshair center
+     */
+    render(result, overlayRenderer, group) {
+        if (!result.found) return;
+
+        const { ellipse, reticle } = result;
+        overlayRenderer.addEllipse(ellipse.x, ellipse.y, ellipse.semiMajor, ellipse.semiMinor, ellipse.angle, {
+            color: '#ff9900',
+            lineWidth: 1,
+            opacity: 0.9,
+            group
+        });
+
+        const majorX = Math.cos(ellipse.angle) * ellipse.semiMajor;
+        const majorY = Math.sin(ellipse.angle) * ellipse.semiMajor;
+        overlayRenderer.addLine(ellipse.x - majorX, ellipse.y - majorY, ellipse.x + majorX, ellipse.y + majorY, {
+            color: '#ff9900',
+            lineWidth: 1,
+            opacity: 0.6,
+            dashed: true,
+            group
+        });
+
+        overlayRenderer.addPoint(ellipse.x, ellipse.y, { color: '#ff9900', radius: 3, group });
+        overlayRenderer.addLine(reticle.x, reticle.y, ellipse.x, ellipse.y, {
+            color: '#ff9900',
+            lineWidth: 1,
+            group
+        });
+    }
+
+    /**
+     * Get the readout lines for the HUD
+     */
+    getHudLines(result) {
+        const lines = [{ text: 'Ellipse fit', color: '#e6edf3' }];
+
+        if (!result.found) {
+            lines.push({ text: 'No elliptical outline found', color: '#8b949e' });
+            return lines;
+        }
+
+        lines.push({
+            text: `Axis ratio ${result.axisRatio.toFixed(3)} (tilt ${result.tilt.toFixed(1)}°)`,
+            color: '#ff9900'
+        });
+        lines.push({ text: `Major axis ${result.orientation.toFixed(1)}°`, color: '#ff9900' });
+        lines.push({
+            text: `Offset     ${result.offsetPixels.toFixed(1)} px ${result.offsetPercent.toFixed(1)}%` +
+                (result.clock ? ` at ${result.clock} o'clock` : ''),
+            color: '#e6edf3'
+        });
+
+        return lines;
+    }
+}
\ No newline at end of file
@@ -4,14 +4,18 @@
 class ExposureController {
     constructor(videoElement) {
         this.video = videoElement;
-        this.canvas = document.getElementById('overlayCanvas');
+        this.lookupTable = null; // Tone mapping per channel value, rebuilt on change
+        this.frameCalibration = null; // Dark/flat correction applied before measuring brightness
+        this.meteringController = null; // Restricts the measured area, e.g. to circle_1
+        this.hardwareExposure = new HardwareExposureLoop(videoElement); // Camera-side auto exposure, when supported
         this.settings = {
             exposure: 0,        // -3 to 3
             brightness: 0,      // -100 to 100 (percentage)
             contrast: 100,      // 0 to 200 (percentage)
             saturation: 100,    // 0 to 200 (percentage)
             focus: 50,          // 0 to 100 (focus distance)
-            autoExposure: false
+            autoExposure: false,
+            curve: this.getDefaultCurve() // Gamma and tone curve applied after contrast
         };
         this.originalConstraints = null;
     }
@@ -20,12 +24,17 @@ class ExposureController {
      * Initialize exposure controller
      */
     initialize() {
-        this.setupVideoFilters();
+        this.updateAdjustments();
         
         // Check focus capabilities when camera starts
         document.addEventListener('cameraStreamStarted', () => {
             setTimeout(() => {
                 this.checkFocusCapabilities();
+
+                // Restart auto exposure on the new camera's controls
+                if (this.settings.autoExposure) {
+                    this.setAutoExposure(true);
+                }
             }, 1000); // Small delay to ensure stream is ready
         });
         
@@ -74,33 +83,141 @@ class ExposureController {
     }
 
     /**
-     * Apply CSS filters to video element
+     * Set the dark/flat correction used for the auto exposure statistics
      */
-    setupVideoFilters() {
-        this.updateVideoFilters();
+    setFrameCalibration(frameCalibration) {
+        this.frameCalibration = frameCalibration;
     }
 
     /**
-     * Update video CSS filters based on current settings
+     * Set the metering area used by auto exposure
      */
-    updateVideoFilters() {
-        const filters = [
-            `brightness(${this.getBrightnessFilter()}%)`,
-            `contrast(${this.settings.contrast}%)`,
-            `saturate(${this.settings.saturation}%)`
-        ];
+    setMeteringController(meteringController) {
+        this.meteringController = meteringController;
+        this.hardwareExposure.setMeteringController(meteringController);
+    }
 
-        const filterString = filters.join(' ');
-        this.video.style.filter = filterString;
-        
-        // Also apply to canvas if it exists
-        if (this.canvas) {
-            this.canvas.style.filter = filterString;
+    /**
+     * Rebuild the pixel adjustments after a settings change
+     */
+    updateAdjustments() {
+        this.lookupTable = null;
+    }
+
+    /**
+     * Check if any adjustment changes the pixels (pipeline stage interface)
+     */
+    isActive() {
+        return this.settings.exposure !== 0 || this.settings.brightness !== 0 ||
+            this.settings.contrast !== 100 || this.settings.saturation !== 100 ||
+            !this.isDefaultCurve(this.settings.curve);
+    }
+
+    /**
+     * Apply exposure, brightness, contrast, gamma, tone curve and saturation to a frame (pipeline stage interface)
+     * Brightness, contrast and saturation use the same math as the CSS filters.
+     */
+    process(imageData) {
+        if (!this.lookupTable) {
+            this.lookupTable = this.createLookupTable();
+        }
+
+        const data = imageData.data;
+        const lookupTable = this.lookupTable;
+        const saturation = this.settings.saturation / 100;
+
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+            const red = lookupTable[data[dataIndex]];
+            const green = lookupTable[data[dataIndex + 1]];
+            const blue = lookupTable[data[dataIndex + 2]];
+
+            if (saturation === 1) {
+                data[dataIndex] = red;
+                data[dataIndex + 1] = green;
+                data[dataIndex + 2] = blue;
+            } else {
+                const luminance = 0.213 * red + 0.715 * green + 0.072 * blue;
+                data[dataIndex] = luminance + (red - luminance) * saturation;
+                data[dataIndex + 1] = luminance + (green - luminance) * saturation;
+                data[dataIndex + 2] = luminance + (blue - luminance) * saturation;
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Build the tone mapping lookup table for 8-bit channel values
+     */
+    createLookupTable() {
+        const curve = ImageUtils.createMonotoneCurve(this.settings.curve.points);
+        const baseTable = this.createBaseTable();
+        const lookupTable = new Uint8ClampedArray(256);
+
+        for (let value = 0; value < 256; value++) {
+            lookupTable[value] = curve(baseTable[value] / 255) * 255;
         }
+
+        return lookupTable;
+    }
+
+    /**
+     * Get the channel values after exposure, brightness, contrast and gamma, i.e. the tone curve's input
+     */
+    createBaseTable() {
+        const brightness = this.getBrightnessFilter() / 100;
+        const contrast = this.settings.contrast / 100;
+        const inverseGamma = 1 / this.settings.curve.gamma;
+        const baseTable = new Float32Array(256);
+
+        for (let value = 0; value < 256; value++) {
+            const brightened = Math.min(255, value * brightness);
+            const contrasted = Math.max(0, Math.min(255, (brightened - 127.5) * contrast + 127.5));
+            baseTable[value] = Math.pow(contrasted / 255, inverseGamma) * 255;
+        }
+
+        return baseTable;
+    }
+
+    /**
+     * Get the identity tone curve: gamma 1 and a straight line
+     */
+    getDefaultCurve() {
+        return {
+            gamma: 1,
+            points: [{ x: 0, y: 0 }, { x: 1, y: 1 }]
+        };
+    }
+
+    /**
+     * Check if a tone curve leaves the pixels unchanged
+     */
+    isDefaultCurve(curve) {
+        return curve.gamma === 1 && curve.points.every(point => point.x === point.y);
+    }
+
+    /**
+     * Set the gamma and tone curve; points are {x, y} in 0-1, sorted by x
+     */
+    setCurve(curve) {
+        const points = (curve.points || this.settings.curve.points)
+            .map(point => ({
+                x: Math.max(0, Math.min(1, point.x)),
+                y: Math.max(0, Math.min(1, point.y))
+            }))
+            .sort((first, second) => first.x - second.x);
+
+        this.settings.curve = {
+            gamma: Math.max(0.2, Math.min(5, curve.gamma !== undefined ? parseFloat(curve.gamma) : this.settings.curve.gamma)),
+            points: points.length >= 2 ? points : this.getDefaultCurve().points
+        };
+
+        this.updateAdjustments();
+        this.dispatchExposureEvent();
     }
 
     /**
-     * Calculate brightness filter value from exposure and brightness settings
+     * Calculate the brightness percentage from exposure and brightness settings
      */
     getBrightnessFilter() {
         // Convert exposure (-3 to 3) to brightness multiplier
@@ -126,7 +243,7 @@ class ExposureController {
             this.disableAutoExposureDueToManualChange('exposure');
         }
         
-        this.updateVideoFilters();
+        this.updateAdjustments();
         this.dispatchExposureEvent();
     }
 
@@ -141,7 +258,7 @@ class ExposureController {
             this.disableAutoExposureDueToManualChange('brightness');
         }
         
-        this.updateVideoFilters();
+        this.updateAdjustments();
         this.dispatchExposureEvent();
     }
 
@@ -156,7 +273,7 @@ class ExposureController {
             this.disableAutoExposureDueToManualChange('contrast');
         }
         
-        this.updateVideoFilters();
+        this.updateAdjustments();
         this.dispatchExposureEvent();
     }
 
@@ -165,7 +282,7 @@ class ExposureController {
      */
     setSaturation(value) {
         this.settings.saturation = Math.max(0, Math.min(200, parseInt(value)));
-        this.updateVideoFilters();
+        this.updateAdjustments();
         this.dispatchExposureEvent();
     }
 
@@ -204,11 +321,28 @@ class ExposureController {
         this.dispatchExposureEvent();
     }
 
+    /**
+     * Map a focus value (0-100) onto the camera's focusDistance range, snapped to its step
+     */
+    getFocusDistance(value, range) {
+        if (!range || typeof range.min !== 'number' || !(range.max > range.min)) {
+            return value / 100;
+        }
+
+        const distance = range.min + (range.max - range.min) * value / 100;
+        if (!range.step) {
+            return distance;
+        }
+
+        const steps = Math.round((distance - range.min) / range.step);
+        return Math.min(range.max, range.min + steps * range.step);
+    }
+
     /**
      * Attempt different focus control methods
      */
     async attemptFocusControl(videoTrack, value, capabilities) {
-        const focusDistance = value / 100;
+        const focusDistance = this.getFocusDistance(value, capabilities.focusDistance);
         const attempts = [];
 
         // Method 1: Try focusDistance with manual mode
@@ -283,11 +417,12 @@ class ExposureController {
         this.settings.saturation = 100;
         this.settings.focus = 50;
         this.settings.autoExposure = false;
+        this.settings.curve = this.getDefaultCurve();
         
         // Stop auto adjustment monitoring
         this.stopAutoAdjustmentMonitoring();
         
-        this.updateVideoFilters();
+        this.updateAdjustments();
         this.dispatchExposureEvent();
     }
 
@@ -298,6 +433,12 @@ class ExposureController {
         this.settings.autoExposure = enabled;
         
         if (enabled) {
+            // Steer the camera's own exposure controls when it has them
+            if (await this.hardwareExposure.start()) {
+                this.dispatchExposureEvent();
+                return;
+            }
+            
             try {
                 // Try to apply camera constraints for auto exposure
                 if (this.video.srcObject) {
@@ -318,7 +459,7 @@ class ExposureController {
                 // Hardware auto exposure not supported, using software mode
             }
             
-            // Always apply software-based intelligent adjustment for telescope work
+            // No hardware exposure controls: intelligent software adjustment for telescope work
             this.performSoftwareAutoAdjustment();
             
         } else {
@@ -359,7 +500,7 @@ class ExposureController {
         this.settings.contrast = 125;    // Enhanced contrast to see mirror patterns
         this.settings.saturation = 90;   // Reduced saturation for better detail clarity
         
-        this.updateVideoFilters();
+        this.updateAdjustments();
         
         // Start intelligent auto-adjustment monitoring
         this.startAutoAdjustmentMonitoring();
@@ -389,6 +530,7 @@ class ExposureController {
             clearInterval(this.autoAdjustmentInterval);
             this.autoAdjustmentInterval = null;
         }
+        this.hardwareExposure.stop();
     }
 
     /**
@@ -398,48 +540,74 @@ class ExposureController {
         if (!this.video || this.video.readyState !== 4) return;
         
         try {
-            // Create a canvas to analyze the video frame
-            const analysisCanvas = document.createElement('canvas');
-            const canvasContext = analysisCanvas.getContext('2d');
-            
-            // Set canvas size to match video
-            analysisCanvas.width = this.video.videoWidth || 640;
-            analysisCanvas.height = this.video.videoHeight || 480;
-            
-            // Draw current video frame
-            canvasContext.drawImage(this.video, 0, 0, analysisCanvas.width, analysisCanvas.height);
+            // Meter inside circle_1 or the ROI when one is set
+            const metered = this.meteringController ? this.meteringController.grabMeteringFrame() : null;
+            let imageData;
             
-            // Get image data for analysis
-            const imageData = canvasContext.getImageData(0, 0, analysisCanvas.width, analysisCanvas.height);
-            const data = imageData.data;
-            
-            // Analyze brightness levels
-            let totalBrightness = 0;
-            let darkPixels = 0;
-            let brightPixels = 0;
-            const pixelCount = data.length / 4;
-            
-            for (let pixelIndex = 0; pixelIndex < data.length; pixelIndex += 4) {
-                // Calculate luminance (perceived brightness)
-                const brightness = (data[pixelIndex] * 0.299 + data[pixelIndex + 1] * 0.587 + data[pixelIndex + 2] * 0.114);
-                totalBrightness += brightness;
+            if (metered) {
+                imageData = metered.imageData;
+                if (this.frameCalibration && this.frameCalibration.isActive()) {
+                    this.frameCalibration.correctFrame(imageData, metered.sourceX, metered.sourceY);
+                }
+            } else {
+                // Create a canvas to analyze the video frame
+                const analysisCanvas = document.createElement('canvas');
+                const canvasContext = analysisCanvas.getContext('2d');
                 
-                if (brightness < 50) darkPixels++;
-                else if (brightness > 200) brightPixels++;
+                // Set canvas size to match video
+                analysisCanvas.width = this.video.videoWidth || 640;
+                analysisCanvas.height = this.video.videoHeight || 480;
+                
+                // Draw current video frame
+                canvasContext.drawImage(this.video, 0, 0, analysisCanvas.width, analysisCanvas.height);
+                
+                // Get image data for analysis, without hot pixels and vignetting
+                imageData = canvasContext.getImageData(0, 0, analysisCanvas.width, analysisCanvas.height);
+                if (this.frameCalibration && this.frameCalibration.isActive()) {
+                    this.frameCalibration.correctFrame(imageData, 0, 0);
+                }
             }
-            
-            const avgBrightness = totalBrightness / pixelCount;
-            const darkRatio = darkPixels / pixelCount;
-            const brightRatio = brightPixels / pixelCount;
+            const statistics = this.getBrightnessStatistics(imageData, metered ? metered.mask : null);
             
             // Intelligent adjustment logic for telescope optics
-            this.intelligentExposureAdjustment(avgBrightness, darkRatio, brightRatio);
+            this.intelligentExposureAdjustment(statistics.avgBrightness, statistics.darkRatio, statistics.brightRatio);
             
         } catch (error) {
             console.warn('Auto exposure analysis failed:', error);
         }
     }
 
+    /**
+     * Measure the average luminance and the share of dark (< 50) and bright (> 200) pixels
+     * An optional mask (one value per pixel) limits the measurement to pixels where it is set.
+     */
+    getBrightnessStatistics(imageData, mask = null) {
+        const data = imageData.data;
+        let totalBrightness = 0;
+        let darkPixels = 0;
+        let brightPixels = 0;
+        let pixelCount = 0;
+        
+        for (let pixelIndex = 0; pixelIndex < data.length; pixelIndex += 4) {
+            if (mask && !mask[pixelIndex >> 2]) continue;
+            
+            // Calculate luminance (perceived brightness)
+            const brightness = (data[pixelIndex] * 0.299 + data[pixelIndex + 1] * 0.587 + data[pixelIndex + 2] * 0.114);
+            totalBrightness += brightness;
+            pixelCount++;
+            
+            if (brightness < 50) darkPixels++;
+            else if (brightness > 200) brightPixels++;
+        }
+        
+        pixelCount = Math.max(1, pixelCount);
+        return {
+            avgBrightness: totalBrightness / pixelCount,
+            darkRatio: darkPixels / pixelCount,
+            brightRatio: brightPixels / pixelCount
+        };
+    }
+
     /**
      * Apply intelligent exposure adjustments based on image analysis
      */
@@ -472,7 +640,7 @@ class ExposureController {
         }
         
         if (adjustmentMade) {
-            this.updateVideoFilters();
+            this.updateAdjustments();
             this.dispatchExposureEvent();
         }
     }
@@ -517,16 +685,24 @@ class ExposureController {
      * Get current exposure settings
      */
     getSettings() {
-        return { ...this.settings };
+        return {
+            ...this.settings,
+            curve: {
+                gamma: this.settings.curve.gamma,
+                points: this.settings.curve.points.map(point => ({ ...point }))
+            }
+        };
     }
 
     /**
      * Apply exposure settings from object
      */
     applySettings(settings) {
-        this.settings = { ...this.settings, ...settings };
-        this.updateVideoFilters();
-        this.dispatchExposureEvent();
+        const { curve, ...otherSettings } = settings;
+        this.settings = { ...this.settings, ...otherSettings };
+
+        // setCurve validates the curve, updates the adjustments and dispatches the event
+        this.setCurve(curve || this.settings.curve);
     }
 
     /**
@@ -0,0 +1,458 @@
+/**
+ * FocusAnalyzer - Sharpness metric, focus peaking overlay and automatic focus sweep
+ *
+ * Sharpness is the variance of the Laplacian of the raw camera pixels inside the metering area
+ * (circle_1 or the ROI, see MeteringController; the visible view when metering the whole frame);
+ * it only compares settings of the same scene. The focus sweep always measures inside circle_1,
+ * so it focuses on the reticle whatever the metering setting. Peaking highlights edges whose
+ * gradient exceeds a fixed level, so it fades as focus is lost. Frames are only measured while the sharpness
+ * readout or peaking is switched on, or during a sweep.
+ */
+class FocusAnalyzer {
+    constructor(zoomController, exposureController, videoElement, containerElement) {
+        this.zoomController = zoomController;
+        this.exposureController = exposureController;
+        this.meteringController = null; // Measures inside circle_1 or the ROI when set
+        this.video = videoElement;
+        this.container = containerElement;
+        this.frameGrabber = new FrameGrabber(videoElement, containerElement); // Raw camera pixels
+        this.storageKey = 'focusSettings';
+        this.elements = {
+            sharpnessValue: document.getElementById('sharpnessValue'),
+            sharpnessBar: document.getElementById('sharpnessBar'),
+            sharpnessToggleBtn: document.getElementById('sharpnessToggleBtn'),
+            peakingToggleBtn: document.getElementById('peakingToggleBtn'),
+            focusSweepBtn: document.getElementById('focusSweepBtn'),
+            peakingCanvas: document.getElementById('peakingCanvas')
+        };
+        this.peakingContext = this.elements.peakingCanvas ? this.elements.peakingCanvas.getContext('2d') : null;
+        this.maskCanvas = document.createElement('canvas');
+        this.maskContext = this.maskCanvas.getContext('2d');
+        this.settings = {
+            updateInterval: 250,      // Sharpness and peaking refresh while either is on (ms)
+            frameSize: 400,           // Longest side of the sampled metering region
+            peakingFrameSize: 480,    // Longest side of the frame used for peaking
+            peakingLevel: 90,         // Sobel magnitude that counts as an in-focus edge
+            peakingColor: [255, 60, 60],
+            historyLength: 40,        // Readings kept for the bar's reference (10 s)
+            settleTime: 350,          // Wait after moving focus before measuring (ms)
+            sampleCount: 3,           // Readings averaged per sweep position
+            sampleInterval: 80,       // Time between those readings (ms)
+            coarseStep: 10,           // Sweep spacing over the whole range (focus %)
+            fineRange: 8,             // Second sweep covers best ± this (focus %)
+            fineStep: 2,
+            showSharpness: false,
+            showPeaking: false
+        };
+        this.history = [];
+        this.isCameraActive = false;
+        this.isFocusSupported = false;
+        this.isSweeping = false;
+        this.updateIntervalId = null;
+    }
+
+    /**
+     * Initialize focus analyzer
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        this.clear();
+        return true;
+    }
+
+    /**
+     * Set the metering area used for the sharpness
+     */
+    setMeteringController(meteringController) {
+        this.meteringController = meteringController;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.sharpnessToggleBtn) {
+            this.elements.sharpnessToggleBtn.addEventListener('click', () => {
+                this.settings.showSharpness = !this.settings.showSharpness;
+                this.onToggled();
+            });
+        }
+
+        if (this.elements.peakingToggleBtn) {
+            this.elements.peakingToggleBtn.addEventListener('click', () => {
+                this.settings.showPeaking = !this.settings.showPeaking;
+                this.onToggled();
+            });
+        }
+
+        if (this.elements.focusSweepBtn) {
+            this.elements.focusSweepBtn.addEventListener('click', () => {
+                if (this.isSweeping) {
+                    this.isSweeping = false;
+                } else {
+                    this.sweepFocus();
+                }
+            });
+        }
+
+        this.video.addEventListener('focusCapabilityDetected', (event) => {
+            const capabilities = event.detail.capabilities || {};
+            this.isFocusSupported = !!capabilities.focusDistance;
+            this.updateControls();
+        });
+
+        document.addEventListener('cameraStreamStarted', () => {
+            this.isCameraActive = true;
+            this.history = [];
+            this.updateLoop();
+            this.updateControls();
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.isCameraActive = false;
+            this.isFocusSupported = false;
+            this.isSweeping = false;
+            this.updateLoop();
+            this.clear();
+            this.updateControls();
+        });
+    }
+
+    /**
+     * Apply a switched sharpness readout or peaking overlay
+     */
+    onToggled() {
+        this.saveSettings();
+        this.updateLoop();
+        this.updateControls();
+        if (!this.settings.showSharpness || this.history.length === 0) {
+            this.clearSharpness();
+        }
+        if (this.isCameraActive) {
+            this.update();
+        }
+    }
+
+    /**
+     * Refresh periodically only while the camera runs and the readout or peaking is on
+     */
+    updateLoop() {
+        const needed = this.isCameraActive && (this.settings.showSharpness || this.settings.showPeaking);
+
+        if (needed && !this.updateIntervalId) {
+            this.updateIntervalId = setInterval(() => {
+                if (!document.hidden) {
+                    this.update();
+                }
+            }, this.settings.updateInterval);
+        } else if (!needed && this.updateIntervalId) {
+            clearInterval(this.updateIntervalId);
+            this.updateIntervalId = null;
+        }
+    }
+
+    /**
+     * Measure sharpness and refresh the readout and peaking overlay
+     */
+    update() {
+        if (!this.isCameraActive) return;
+
+        const sharpness = this.settings.showSharpness ? this.measureSharpness() : null;
+        if (sharpness !== null) {
+            this.history.push(sharpness);
+            if (this.history.length > this.settings.historyLength) {
+                this.history.shift();
+            }
+            this.showSharpness(sharpness);
+        }
+
+        if (this.settings.showPeaking) {
+            this.drawPeaking();
+        } else {
+            this.clearPeaking();
+        }
+    }
+
+    /**
+     * Get the sharpness of the metering region, or null when no frame is available
+     * The mode overrides the metering mode (see MeteringController.grabAreaFrame()).
+     */
+    measureSharpness(mode) {
+        const area = this.meteringController ?
+            this.meteringController.grabAreaFrame({ mode, maxSize: this.settings.frameSize }) :
+            null;
+        if (area) {
+            return this.getSharpness(area.frame.imageData, area.mask);
+        }
+
+        const frame = this.frameGrabber.grabFrame({
+            region: this.zoomController.getVisibleContentRect(),
+            maxSize: this.settings.frameSize
+        });
+        return frame ? this.getSharpness(frame.imageData) : null;
+    }
+
+    /**
+     * Variance of the 4-neighbour Laplacian, over pixels where the mask is set (all when null)
+     */
+    getSharpness(imageData, mask = null) {
+        const { width, height } = imageData;
+        const gray = ImageUtils.toGrayscale(imageData);
+        let count = 0;
+        let sum = 0;
+        let sumSquares = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const index = y * width + x;
+                if (mask && !mask[index]) continue;
+
+                const laplacian = 4 * gray[index] - gray[index - 1] - gray[index + 1] -
+                    gray[index - width] - gray[index + width];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+
+        if (count === 0) return 0;
+
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    /**
+     * Show the current sharpness, and on the bar relative to the best of the last few seconds
+     */
+    showSharpness(sharpness) {
+        const best = Math.max(...this.history);
+
+        if (this.elements.sharpnessValue) {
+            this.elements.sharpnessValue.textContent = `Sharpness ${sharpness.toFixed(1)} · best ${best.toFixed(1)}`;
+        }
+        if (this.elements.sharpnessBar) {
+            const percent = best > 0 ? Math.round(sharpness / best * 100) : 0;
+            this.elements.sharpnessBar.style.width = `${percent}%`;
+            this.elements.sharpnessBar.classList.toggle('bg-success', percent >= 95);
+        }
+    }
+
+    /**
+     * Color the edges above the peaking level in the visible region
+     * Built at frame resolution and stretched over the container, like the zebra overlay.
+     */
+    drawPeaking() {
+        const canvas = this.elements.peakingCanvas;
+        if (!this.peakingContext) return;
+
+        const frame = this.frameGrabber.grabFrame({
+            region: this.zoomController.getVisibleContentRect(),
+            maxSize: this.settings.peakingFrameSize
+        });
+        if (!frame) return;
+
+        const { width, height } = frame;
+        const gray = ImageUtils.toGrayscale(frame.imageData);
+        const { magnitude } = ImageUtils.computeGradients(gray, width, height);
+        const [red, green, blue] = this.settings.peakingColor;
+
+        if (this.maskCanvas.width !== width || this.maskCanvas.height !== height) {
+            this.maskCanvas.width = width;
+            this.maskCanvas.height = height;
+        }
+
+        const peaks = this.maskContext.createImageData(width, height);
+        for (let index = 0; index < magnitude.length; index++) {
+            if (magnitude[index] >= this.settings.peakingLevel) {
+                const dataIndex = index * 4;
+                peaks.data[dataIndex] = red;
+                peaks.data[dataIndex + 1] = green;
+                peaks.data[dataIndex + 2] = blue;
+                peaks.data[dataIndex + 3] = 255;
+            }
+        }
+        this.maskContext.putImageData(peaks, 0, 0);
+
+        const containerWidth = this.container.clientWidth;
+        const containerHeight = this.container.clientHeight;
+        if (canvas.width !== containerWidth || canvas.height !== containerHeight) {
+            canvas.width = containerWidth;
+            canvas.height = containerHeight;
+        }
+
+        this.peakingContext.clearRect(0, 0, canvas.width, canvas.height);
+        this.peakingContext.drawImage(this.maskCanvas, 0, 0, canvas.width, canvas.height);
+        canvas.style.display = 'block';
+    }
+
+    /**
+     * Remove the peaking overlay
+     */
+    clearPeaking() {
+        const canvas = this.elements.peakingCanvas;
+        if (!canvas) return;
+
+        canvas.style.display = 'none';
+        if (this.peakingContext) {
+            this.peakingContext.clearRect(0, 0, canvas.width, canvas.height);
+        }
+    }
+
+    /**
+     * Sweep the focus range, first coarsely and then around the sharpest position, and settle there
+     */
+    async sweepFocus() {
+        if (!this.isCameraActive || !this.isFocusSupported || this.isSweeping) return;
+
+        const startFocus = this.exposureController.settings.focus;
+        this.isSweeping = true;
+        this.updateControls();
+        StatusMessages.dispatch('Sweeping focus on the reticle...');
+
+        const coarse = [];
+        for (let focus = 0; focus <= 100; focus += this.settings.coarseStep) {
+            coarse.push(focus);
+        }
+        let best = await this.findSharpest(coarse);
+
+        if (best) {
+            const fine = [];
+            const first = Math.max(0, best.focus - this.settings.fineRange);
+            const last = Math.min(100, best.focus + this.settings.fineRange);
+            for (let focus = first; focus <= last; focus += this.settings.fineStep) {
+                fine.push(focus);
+            }
+            const fineBest = await this.findSharpest(fine);
+            if (fineBest && fineBest.sharpness > best.sharpness) {
+                best = fineBest;
+            }
+        }
+
+        if (!this.isCameraActive) return;
+
+        if (best && this.isSweeping) {
+            await this.exposureController.setFocus(best.focus);
+            StatusMessages.dispatch(`Focus set to ${best.focus} (sharpness ${best.sharpness.toFixed(1)})`, 'success');
+        } else {
+            await this.exposureController.setFocus(startFocus);
+            StatusMessages.dispatch('Focus sweep cancelled', 'warning');
+        }
+
+        this.isSweeping = false;
+        this.history = [];
+        this.updateControls();
+    }
+
+    /**
+     * Measure each focus position and return the sharpest as {focus, sharpness}
+     * Returns null when the sweep is cancelled or no frame could be measured.
+     */
+    async findSharpest(positions) {
+        let best = null;
+
+        for (const focus of positions) {
+            if (!this.isSweeping || !this.isCameraActive) return null;
+
+            await this.exposureController.setFocus(focus);
+            await this.wait(this.settings.settleTime);
+
+            let total = 0;
+            let samples = 0;
+            for (let sample = 0; sample < this.settings.sampleCount; sample++) {
+                const sharpness = this.measureSharpness('circle');
+                if (sharpness !== null) {
+                    total += sharpness;
+                    samples++;
+                }
+                await this.wait(this.settings.sampleInterval);
+            }
+
+            if (samples > 0 && (!best || total / samples > best.sharpness)) {
+                best = { focus, sharpness: total / samples };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Resolve after a delay
+     */
+    wait(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    }
+
+    /**
+     * Reset the readout and peaking overlay while no camera is running
+     */
+    clear() {
+        this.clearSharpness();
+        this.clearPeaking();
+    }
+
+    /**
+     * Reset the sharpness readout
+     */
+    clearSharpness() {
+        this.history = [];
+        if (this.elements.sharpnessValue) {
+            this.elements.sharpnessValue.textContent = !this.settings.showSharpness ? 'Sharpness readout off' :
+                (this.isCameraActive ? 'Measuring sharpness...' : 'Start the camera to measure sharpness');
+        }
+        if (this.elements.sharpnessBar) {
+            this.elements.sharpnessBar.style.width = '0%';
+            this.elements.sharpnessBar.classList.remove('bg-success');
+        }
+    }
+
+    /**
+     * Show the peaking and sweep state in the controls
+     */
+    updateControls() {
+        if (this.elements.sharpnessToggleBtn) {
+            this.elements.sharpnessToggleBtn.classList.toggle('active', this.settings.showSharpness);
+        }
+        if (this.elements.peakingToggleBtn) {
+            this.elements.peakingToggleBtn.classList.toggle('active', this.settings.showPeaking);
+        }
+        if (this.elements.focusSweepBtn) {
+            this.elements.focusSweepBtn.disabled = !this.isCameraActive || !this.isFocusSupported;
+            this.elements.focusSweepBtn.classList.toggle('active', this.isSweeping);
+            this.elements.focusSweepBtn.title = this.isFocusSupported ?
+                (this.isSweeping ? 'Stop the focus sweep' : 'Sweep focus and settle on the sharpest setting') :
+                'This camera has no hardware focus control';
+        }
+    }
+
+    /**
+     * Save focus settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                showSharpness: this.settings.showSharpness,
+                showPeaking: this.settings.showPeaking
+            }));
+        } catch (error) {
+            console.warn('Failed to save focus settings:', error);
+        }
+    }
+
+    /**
+     * Load focus settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.settings.showSharpness = settings.showSharpness === true;
+                this.settings.showPeaking = settings.showPeaking === true;
+            }
+        } catch (error) {
+            console.warn('Failed to load focus settings:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,393 @@
+/**
+ * FrameCalibration - Dark-frame subtraction and flat-field correction
+ *
+ * Master frames are averaged from full camera frames: darks with the tube capped, flats with
+ * an evenly lit tube. They are stored in IndexedDB per camera deviceId and resolution, and run
+ * as the first ImagePipeline stage so display and analysis both see corrected pixels.
+ */
+class FrameCalibration {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.canvas = document.createElement('canvas');
+        this.canvasContext = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.database = {
+            name: 'collimationCalibration',
+            version: 1,
+            store: 'masters'
+        };
+        this.elements = {
+            captureDarkBtn: document.getElementById('captureDarkBtn'),
+            captureFlatBtn: document.getElementById('captureFlatBtn'),
+            applyMastersBtn: document.getElementById('applyMastersBtn'),
+            clearMastersBtn: document.getElementById('clearMastersBtn'),
+            mastersStatus: document.getElementById('mastersStatus')
+        };
+        this.settings = {
+            captureFrames: 16,     // Frames averaged into a master
+            maxGain: 4,            // Flat-field gain limit, so dead corners are not blown up
+            frameTimeout: 3000     // Capture fails if no new video frame arrives within this time (ms)
+        };
+        this.masters = { dark: null, flat: null };
+        this.correction = null;    // {width, height, offset, gain} per RGB channel, built from the masters
+        this.apply = true;
+        this.camera = null;        // {deviceId, width, height} of the running camera
+        this.isCapturing = false;
+    }
+
+    /**
+     * Initialize frame calibration
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.captureDarkBtn) {
+            this.elements.captureDarkBtn.addEventListener('click', () => {
+                this.captureMaster('dark');
+            });
+        }
+
+        if (this.elements.captureFlatBtn) {
+            this.elements.captureFlatBtn.addEventListener('click', () => {
+                this.captureMaster('flat');
+            });
+        }
+
+        if (this.elements.applyMastersBtn) {
+            this.elements.applyMastersBtn.addEventListener('click', () => {
+                this.apply = !this.apply;
+                this.updateControls();
+            });
+        }
+
+        if (this.elements.clearMastersBtn) {
+            this.elements.clearMastersBtn.addEventListener('click', () => {
+                this.clearMasters();
+            });
+        }
+
+        document.addEventListener('cameraStreamStarted', (event) => {
+            this.onCameraStarted(event.detail || {});
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.camera = null;
+            this.masters = { dark: null, flat: null };
+            this.correction = null;
+            this.updateControls();
+        });
+    }
+
+    /**
+     * Load the masters saved for the camera that just started
+     */
+    async onCameraStarted(detail) {
+        const track = this.video.srcObject && this.video.srcObject.getVideoTracks ?
+            this.video.srcObject.getVideoTracks()[0] : null;
+        const trackSettings = track && track.getSettings ? track.getSettings() : {};
+
+        this.camera = {
+            deviceId: trackSettings.deviceId || detail.cameraId || 'default',
+            width: this.video.videoWidth,
+            height: this.video.videoHeight
+        };
+
+        try {
+            const [dark, flat] = await Promise.all([this.readMaster('dark'), this.readMaster('flat')]);
+            this.masters = { dark, flat };
+        } catch (error) {
+            console.warn('Failed to load calibration frames:', error);
+            this.masters = { dark: null, flat: null };
+        }
+
+        this.buildCorrection();
+        this.updateControls();
+    }
+
+    /**
+     * Check if the correction should run (pipeline stage interface)
+     */
+    isActive() {
+        return this.apply && this.correction !== null;
+    }
+
+    /**
+     * Correct a frame in place (pipeline stage interface)
+     */
+    process(imageData, context) {
+        return this.correctFrame(imageData, context.sourceX, context.sourceY);
+    }
+
+    /**
+     * Subtract the dark master and divide by the flat master
+     * sourceX/sourceY give the camera pixel of the frame's top left pixel.
+     */
+    correctFrame(imageData, sourceX, sourceY) {
+        const { width, height, data } = imageData;
+        const { offset, gain } = this.correction;
+        const masterWidth = this.correction.width;
+        const masterHeight = this.correction.height;
+
+        for (let y = 0; y < height; y++) {
+            const masterY = sourceY + y;
+            if (masterY < 0 || masterY >= masterHeight) continue;
+
+            for (let x = 0; x < width; x++) {
+                const masterX = sourceX + x;
+                if (masterX < 0 || masterX >= masterWidth) continue;
+
+                const dataIndex = (y * width + x) * 4;
+                const masterIndex = (masterY * masterWidth + masterX) * 3;
+                data[dataIndex] = (data[dataIndex] - offset[masterIndex]) * gain[masterIndex];
+                data[dataIndex + 1] = (data[dataIndex + 1] - offset[masterIndex + 1]) * gain[masterIndex + 1];
+                data[dataIndex + 2] = (data[dataIndex + 2] - offset[masterIndex + 2]) * gain[masterIndex + 2];
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Average full camera frames into a dark or flat master and save it
+     */
+    async captureMaster(type) {
+        if (this.isCapturing || !this.camera) {
+            return;
+        }
+
+        const { width, height } = this.camera;
+        const pixelCount = width * height;
+        const sum = new Float32Array(pixelCount * 3);
+
+        this.isCapturing = true;
+        this.updateControls();
+
+        try {
+            this.canvas.width = width;
+            this.canvas.height = height;
+
+            for (let frameIndex = 0; frameIndex < this.settings.captureFrames; frameIndex++) {
+                await this.waitForVideoFrame();
+                this.canvasContext.drawImage(this.video, 0, 0, width, height);
+                const data = this.canvasContext.getImageData(0, 0, width, height).data;
+
+                for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+                    sum[pixelIndex * 3] += data[pixelIndex * 4];
+                    sum[pixelIndex * 3 + 1] += data[pixelIndex * 4 + 1];
+                    sum[pixelIndex * 3 + 2] += data[pixelIndex * 4 + 2];
+                }
+
+                this.setStatus(`Capturing ${type} frames ${frameIndex + 1}/${this.settings.captureFrames}...`);
+            }
+
+            const master = sum.map(value => value / this.settings.captureFrames);
+
+            // Flats keep their dark signal; the current dark is subtracted when building the correction
+            const record = {
+                key: this.getMasterKey(type),
+                type,
+                deviceId: this.camera.deviceId,
+                width,
+                height,
+                frameCount: this.settings.captureFrames,
+                created: Date.now(),
+                data: master
+            };
+
+            this.masters[type] = record;
+            await this.writeMaster(record);
+            StatusMessages.dispatch(`${type === 'dark' ? 'Dark' : 'Flat'} master saved (${this.settings.captureFrames} frames)`, 'success');
+        } catch (error) {
+            console.error('Calibration frame capture failed:', error);
+            StatusMessages.dispatch('Calibration frame capture failed: ' + error.message, 'danger');
+        } finally {
+            this.isCapturing = false;
+            this.buildCorrection();
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Wait until the video shows a new frame
+     */
+    waitForVideoFrame() {
+        return new Promise((resolve, reject) => {
+            const lastTime = this.video.currentTime;
+            const startTime = performance.now();
+            const check = () => {
+                if (this.video.currentTime !== lastTime) {
+                    resolve();
+                } else if (performance.now() - startTime > this.settings.frameTimeout) {
+                    reject(new Error('the video stopped'));
+                } else {
+                    requestAnimationFrame(check);
+                }
+            };
+            requestAnimationFrame(check);
+        });
+    }
+
+    /**
+     * Delete the masters of the current camera and resolution
+     */
+    async clearMasters() {
+        if (!this.camera) return;
+
+        try {
+            await Promise.all([this.deleteMaster('dark'), this.deleteMaster('flat')]);
+        } catch (error) {
+            console.warn('Failed to delete calibration frames:', error);
+        }
+
+        this.masters = { dark: null, flat: null };
+        this.buildCorrection();
+        this.updateControls();
+    }
+
+    /**
+     * Precompute the per-pixel offset and gain from the masters
+     */
+    buildCorrection() {
+        const { dark, flat } = this.masters;
+        const master = dark || flat;
+
+        if (!master) {
+            this.correction = null;
+            return;
+        }
+
+        const length = master.width * master.height * 3;
+        const offset = dark ? dark.data : new Float32Array(length);
+        const gain = new Float32Array(length).fill(1);
+
+        if (flat) {
+            // Flats are stored raw, so take off the current dark
+            const flatSignal = dark ?
+                flat.data.map((value, index) => Math.max(0, value - dark.data[index])) :
+                flat.data;
+
+            // Normalize each channel to its mean so the correction keeps the overall brightness
+            [0, 1, 2].forEach(channel => {
+                let channelSum = 0;
+                for (let index = channel; index < length; index += 3) {
+                    channelSum += flatSignal[index];
+                }
+                const channelMean = channelSum / (length / 3);
+
+                for (let index = channel; index < length; index += 3) {
+                    gain[index] = flatSignal[index] > 0 ?
+                        Math.min(this.settings.maxGain, channelMean / flatSignal[index]) :
+                        this.settings.maxGain;
+                }
+            });
+        }
+
+        this.correction = { width: master.width, height: master.height, offset, gain };
+    }
+
+    /**
+     * Get the IndexedDB key of a master for the current camera and resolution
+     */
+    getMasterKey(type) {
+        return `${this.camera.deviceId}|${this.camera.width}x${this.camera.height}|${type}`;
+    }
+
+    /**
+     * Open the calibration database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.database.name, this.database.version);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.database.store, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the masters store and resolve with its result
+     */
+    async runRequest(mode, createRequest) {
+        const database = await this.openDatabase();
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = database.transaction(this.database.store, mode);
+                const request = createRequest(transaction.objectStore(this.database.store));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } finally {
+            database.close();
+        }
+    }
+
+    /**
+     * Read the saved master of a type for the current camera, or null
+     */
+    async readMaster(type) {
+        const record = await this.runRequest('readonly', store => store.get(this.getMasterKey(type)));
+        return record || null;
+    }
+
+    /**
+     * Save a master record
+     */
+    writeMaster(record) {
+        return this.runRequest('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete the saved master of a type for the current camera
+     */
+    deleteMaster(type) {
+        return this.runRequest('readwrite', store => store.delete(this.getMasterKey(type)));
+    }
+
+    /**
+     * Show the calibration state in the controls
+     */
+    updateControls() {
+        const hasCamera = this.camera !== null;
+        const hasMasters = this.correction !== null;
+
+        [this.elements.captureDarkBtn, this.elements.captureFlatBtn].forEach(button => {
+            if (button) {
+                button.disabled = !hasCamera || this.isCapturing;
+            }
+        });
+        if (this.elements.clearMastersBtn) {
+            this.elements.clearMastersBtn.disabled = !hasMasters || this.isCapturing;
+        }
+        if (this.elements.applyMastersBtn) {
+            this.elements.applyMastersBtn.disabled = !hasMasters;
+            this.elements.applyMastersBtn.classList.toggle('active', hasMasters && this.apply);
+        }
+
+        if (this.isCapturing) return;
+
+        if (!hasCamera) {
+            this.setStatus('Start the camera to capture or load masters');
+        } else {
+            const describe = master => master ? `${master.frameCount} frames` : 'none';
+            this.setStatus(`${this.camera.width}×${this.camera.height}: dark ${describe(this.masters.dark)}, flat ${describe(this.masters.flat)}`);
+        }
+    }
+
+    /**
+     * Show a line of text under the calibration controls
+     */
+    setStatus(text) {
+        if (this.elements.mastersStatus) {
+            this.elements.mastersStatus.textContent = text;
+        }
+    }
+}
\ No newline at end of file
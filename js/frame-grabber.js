@@ -0,0 +1,161 @@
+/**
+ * FrameGrabber - Captures frames of the displayed video into pixel buffers for analysis
+ *
+ * Frames are grabbed in "content" coordinates: the layout of the video inside the
+ * container at 100% zoom, which is also the coordinate space of the overlay canvas.
+ */
+class FrameGrabber {
+    constructor(videoElement, containerElement) {
+        this.video = videoElement;
+        this.container = containerElement;
+        this.source = videoElement;
+        this.sourceRegion = null; // Content rectangle covered by a non-video source
+        this.canvas = document.createElement('canvas');
+        this.canvasContext = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.defaultMaxSize = 480; // Longest side of a grabbed frame in pixels
+    }
+
+    /**
+     * Read frames from another source (e.g. the stacked image) that covers a content rectangle
+     * Passing no source switches back to the live video.
+     */
+    setSource(source, region = null) {
+        this.source = source || this.video;
+        this.sourceRegion = source ? region : null;
+    }
+
+    /**
+     * Check if the current source has a frame ready to be grabbed
+     */
+    isReady() {
+        const sourceSize = this.getSourceSize();
+        if (this.source === this.video && this.video.readyState < 2) {
+            return false;
+        }
+        return sourceSize.width > 0 && sourceSize.height > 0;
+    }
+
+    /**
+     * Get the intrinsic size of the current source
+     */
+    getSourceSize() {
+        if (this.source === this.video) {
+            return { width: this.video.videoWidth, height: this.video.videoHeight };
+        }
+        return { width: this.source.width, height: this.source.height };
+    }
+
+    /**
+     * Get the size of the content area (matches the video element box)
+     */
+    getContentSize() {
+        return {
+            width: this.container.clientWidth,
+            height: this.container.clientHeight
+        };
+    }
+
+    /**
+     * Calculate where the source is drawn in content coordinates (object-fit: cover)
+     */
+    getCoverLayout() {
+        const sourceSize = this.getSourceSize();
+
+        if (this.sourceRegion) {
+            return {
+                scale: this.sourceRegion.width / sourceSize.width,
+                offsetX: this.sourceRegion.x,
+                offsetY: this.sourceRegion.y,
+                width: this.sourceRegion.width,
+                height: this.sourceRegion.height
+            };
+        }
+
+        const contentSize = this.getContentSize();
+        const scale = Math.max(contentSize.width / sourceSize.width, contentSize.height / sourceSize.height);
+
+        return {
+            scale,
+            offsetX: (contentSize.width - sourceSize.width * scale) / 2,
+            offsetY: (contentSize.height - sourceSize.height * scale) / 2,
+            width: sourceSize.width * scale,
+            height: sourceSize.height * scale
+        };
+    }
+
+    /**
+     * Grab the current frame
+     * Options:
+     * - region: content rectangle to grab (defaults to the whole view)
+     * - maxSize: longest side of the result in pixels
+     * - native: sample the region at the source resolution instead
+     */
+    grabFrame(options = {}) {
+        if (!this.isReady()) {
+            return null;
+        }
+
+        const contentSize = this.getContentSize();
+        const region = options.region || { x: 0, y: 0, width: contentSize.width, height: contentSize.height };
+        const layout = this.getCoverLayout();
+
+        // Never sample finer than the source resolution
+        const nativeScale = 1 / layout.scale;
+        const maxSize = options.maxSize || this.defaultMaxSize;
+        const scale = options.native ?
+            nativeScale :
+            Math.min(nativeScale, maxSize / Math.max(region.width, region.height));
+
+        const width = Math.max(1, Math.round(region.width * scale));
+        const height = Math.max(1, Math.round(region.height * scale));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        try {
+            this.canvasContext.fillStyle = '#000000';
+            this.canvasContext.fillRect(0, 0, width, height);
+            this.canvasContext.drawImage(
+                this.source,
+                (layout.offsetX - region.x) * scale,
+                (layout.offsetY - region.y) * scale,
+                layout.width * scale,
+                layout.height * scale
+            );
+
+            return {
+                imageData: this.canvasContext.getImageData(0, 0, width, height),
+                width,
+                height,
+                scale,
+                originX: region.x,
+                originY: region.y
+            };
+        } catch (error) {
+            console.warn('Frame grab failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Convert a point from frame pixels to content coordinates
+     */
+    toContentPoint(frame, x, y) {
+        return {
+            x: frame.originX + x / frame.scale,
+            y: frame.originY + y / frame.scale
+        };
+    }
+
+    /**
+     * Convert a point from content coordinates to frame pixels
+     */
+    toFramePoint(frame, x, y) {
+        return {
+            x: (x - frame.originX) * frame.scale,
+            y: (y - frame.originY) * frame.scale
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,294 @@
+/**
+ * FrameStacker - Averages or median-stacks the last N frames to reduce webcam noise
+ *
+ * Runs as an ImagePipeline stage on the raw frames. The pipeline resets it whenever the
+ * processed region changes (zoom, pan or resize), so only matching frames are combined.
+ * The stacked image can be shown in place of the live video and used by the analyzers,
+ * each independently.
+ */
+class FrameStacker {
+    constructor() {
+        this.storageKey = 'frameStacking';
+        this.elements = {
+            stackToggleBtn: document.getElementById('stackToggleBtn'),
+            showStackedBtn: document.getElementById('showStackedBtn'),
+            analyzeStackedBtn: document.getElementById('analyzeStackedBtn'),
+            stackFramesSlider: document.getElementById('stackFramesSlider'),
+            stackFramesValue: document.getElementById('stackFramesValue'),
+            stackMethodSelect: document.getElementById('stackMethodSelect'),
+            stackStatus: document.getElementById('stackStatus')
+        };
+        this.settings = {
+            frameCount: 8,          // Number of frames in the stack
+            method: 'mean',         // 'mean' or 'median'
+            maxFrameCount: 16
+        };
+        this.enabled = false;
+        this.showStacked = false;     // Show the stacked image instead of the live video
+        this.useForAnalysis = false;  // Let the analyzers read the stacked image
+        this.reset();
+    }
+
+    /**
+     * Initialize frame stacker
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.stackToggleBtn) {
+            this.elements.stackToggleBtn.addEventListener('click', () => {
+                this.setEnabled(!this.enabled);
+            });
+        }
+
+        if (this.elements.showStackedBtn) {
+            this.elements.showStackedBtn.addEventListener('click', () => {
+                this.setShowStacked(!this.showStacked);
+            });
+        }
+
+        if (this.elements.analyzeStackedBtn) {
+            this.elements.analyzeStackedBtn.addEventListener('click', () => {
+                this.setUseForAnalysis(!this.useForAnalysis);
+            });
+        }
+
+        if (this.elements.stackFramesSlider) {
+            this.elements.stackFramesSlider.addEventListener('input', (event) => {
+                this.updateSettings({ frameCount: parseInt(event.target.value, 10) });
+            });
+        }
+
+        if (this.elements.stackMethodSelect) {
+            this.elements.stackMethodSelect.addEventListener('change', (event) => {
+                this.updateSettings({ method: event.target.value });
+            });
+        }
+    }
+
+    /**
+     * Turn stacking on or off; turning it off also stops showing and analyzing the stack
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.showStacked = false;
+            this.useForAnalysis = false;
+        }
+
+        this.reset();
+        this.updateControls();
+    }
+
+    /**
+     * Show the stacked image in place of the live video
+     */
+    setShowStacked(show) {
+        this.showStacked = show;
+        if (show && !this.enabled) {
+            this.setEnabled(true);
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Let the analyzers read the stacked image instead of the live video
+     */
+    setUseForAnalysis(use) {
+        this.useForAnalysis = use;
+        if (use && !this.enabled) {
+            this.setEnabled(true);
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Check if the stage should run (pipeline stage interface)
+     */
+    isActive() {
+        return this.enabled;
+    }
+
+    /**
+     * Check if the stacked image is shown (pipeline stage interface)
+     */
+    isShown() {
+        return this.showStacked;
+    }
+
+    /**
+     * Check if the analyzers read the stacked image (pipeline stage interface)
+     */
+    isAnalyzed() {
+        return this.useForAnalysis;
+    }
+
+    /**
+     * Drop all stacked frames
+     */
+    reset() {
+        this.frames = [];
+        this.sum = null;
+        this.output = null;
+        this.nextIndex = 0;
+        this.updateStatus();
+    }
+
+    /**
+     * Add a frame to the stack and return the stacked image (pipeline stage interface)
+     */
+    process(imageData) {
+        const data = imageData.data;
+
+        if (!this.sum || this.sum.length !== data.length) {
+            this.reset();
+            this.sum = new Uint16Array(data.length);
+            this.output = new ImageData(imageData.width, imageData.height);
+        }
+
+        const evicted = this.frames.length === this.settings.frameCount ? this.frames[this.nextIndex] : null;
+
+        // Keep a running sum for the mean
+        for (let index = 0; index < data.length; index++) {
+            this.sum[index] += data[index] - (evicted ? evicted[index] : 0);
+        }
+
+        // Keep a copy, since later stages may change the frame in place
+        const stored = evicted || new Uint8ClampedArray(data.length);
+        stored.set(data);
+        this.frames[this.nextIndex] = stored;
+        this.nextIndex = (this.nextIndex + 1) % this.settings.frameCount;
+
+        this.composeStack();
+        this.updateStatus();
+        return this.output;
+    }
+
+    /**
+     * Combine the stacked frames into the output image
+     */
+    composeStack() {
+        const count = this.frames.length;
+        const output = this.output.data;
+
+        if (this.settings.method === 'median' && count > 2) {
+            const values = new Uint8Array(count);
+            const middle = count >> 1;
+
+            for (let index = 0; index < output.length; index += 4) {
+                for (let channel = index; channel < index + 3; channel++) {
+                    // Insertion sort is fast for the few values per pixel
+                    for (let frameIndex = 0; frameIndex < count; frameIndex++) {
+                        const value = this.frames[frameIndex][channel];
+                        let position = frameIndex;
+                        while (position > 0 && values[position - 1] > value) {
+                            values[position] = values[position - 1];
+                            position--;
+                        }
+                        values[position] = value;
+                    }
+
+                    output[channel] = count % 2 ? values[middle] : (values[middle - 1] + values[middle] + 1) >> 1;
+                }
+                output[index + 3] = 255;
+            }
+        } else {
+            for (let index = 0; index < output.length; index++) {
+                output[index] = this.sum[index] / count;
+            }
+        }
+    }
+
+    /**
+     * Show the stack fill level
+     */
+    updateStatus() {
+        if (!this.elements.stackStatus) return;
+
+        const text = this.enabled ?
+            `Stacked ${this.frames.length}/${this.settings.frameCount} frames (${this.settings.method})` :
+            'Stacking off';
+        if (this.elements.stackStatus.textContent !== text) {
+            this.elements.stackStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Show the stacking state in the controls
+     */
+    updateControls() {
+        if (this.elements.stackToggleBtn) {
+            this.elements.stackToggleBtn.classList.toggle('active', this.enabled);
+        }
+        if (this.elements.showStackedBtn) {
+            this.elements.showStackedBtn.classList.toggle('active', this.showStacked);
+        }
+        if (this.elements.analyzeStackedBtn) {
+            this.elements.analyzeStackedBtn.classList.toggle('active', this.useForAnalysis);
+        }
+        if (this.elements.stackFramesSlider) {
+            this.elements.stackFramesSlider.value = this.settings.frameCount;
+        }
+        if (this.elements.stackFramesValue) {
+            this.elements.stackFramesValue.textContent = this.settings.frameCount;
+        }
+        if (this.elements.stackMethodSelect) {
+            this.elements.stackMethodSelect.value = this.settings.method;
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Update stacking settings and save them; a new frame count starts a new stack
+     */
+    updateSettings(newSettings) {
+        const frameCount = Math.max(2, Math.min(this.settings.maxFrameCount, newSettings.frameCount || this.settings.frameCount));
+        const restart = frameCount !== this.settings.frameCount;
+
+        this.settings = { ...this.settings, ...newSettings, frameCount };
+        if (restart) {
+            this.reset();
+        }
+
+        this.saveSettings();
+        this.updateControls();
+    }
+
+    /**
+     * Save stacking settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                frameCount: this.settings.frameCount,
+                method: this.settings.method
+            }));
+        } catch (error) {
+            console.warn('Failed to save stacking settings:', error);
+        }
+    }
+
+    /**
+     * Load stacking settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.settings.frameCount = Math.max(2, Math.min(this.settings.maxFrameCount, settings.frameCount || this.settings.frameCount));
+                this.settings.method = settings.method === 'median' ? 'median' : 'mean';
+            }
+        } catch (error) {
+            console.warn('Failed to load stacking settings:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * HardwareExposureLoop - Closed-loop auto exposure on the camera's own controls
+ *
+ * Measures the median luminance of the raw video and steers the first usable camera control
+ * (exposureTime, iso, exposureCompensation, then brightness) towards a target. Corrections
+ * start when the median leaves the outer tolerance band and stop once it is back inside the
+ * inner band, so the loop does not hunt around the target.
+ */
+class HardwareExposureLoop {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.meteringController = null; // Measures inside circle_1 or the ROI when set
+        this.canvas = document.createElement('canvas');
+        this.canvasContext = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.settings = {
+            targetMedian: 100,     // Median luminance to aim for (0-255)
+            outerTolerance: 16,    // Start correcting beyond this distance from the target
+            innerTolerance: 5,     // Stop correcting within this distance
+            interval: 700,         // Settle time after a step before the next measurement (ms)
+            frameSize: 160,        // Longest side of the measured frame
+            maxStepRatio: 2,       // Largest exposure time / ISO change per step (factor)
+            damping: 0.6           // Fraction of the computed correction applied per step
+        };
+        // Controls in order of preference: scaled controls act multiplicatively, the others linearly
+        this.controlOrder = [
+            { name: 'exposureTime', scaled: true, mode: 'manual' },
+            { name: 'iso', scaled: true, mode: 'manual' },
+            { name: 'exposureCompensation', scaled: false, mode: 'continuous' },
+            { name: 'brightness', scaled: false, mode: null }
+        ];
+        this.track = null;
+        this.controls = [];        // Supported controls: {name, scaled, mode, min, max, step, value}
+        this.isCorrecting = false;
+        this.timeoutId = null;
+        this.loopId = 0;           // Increased by start() and stop(), so a pending step of an old loop ends it
+        this.lastMedian = null;
+    }
+
+    /**
+     * Set the metering area used for the median
+     */
+    setMeteringController(meteringController) {
+        this.meteringController = meteringController;
+    }
+
+    /**
+     * Get the camera controls the loop can use, in order of preference
+     */
+    getSupportedControls(track) {
+        const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+        const trackSettings = track && track.getSettings ? track.getSettings() : {};
+
+        return this.controlOrder
+            .filter(control => {
+                const range = capabilities[control.name];
+                return range && typeof range.min === 'number' && typeof range.max === 'number' && range.max > range.min;
+            })
+            .map(control => {
+                const range = capabilities[control.name];
+                const value = typeof trackSettings[control.name] === 'number' ?
+                    trackSettings[control.name] :
+                    (range.min + range.max) / 2;
+                return { ...control, min: range.min, max: range.max, step: range.step || 0, value };
+            });
+    }
+
+    /**
+     * Start the loop on the current camera track
+     * Returns false when the camera has no usable exposure controls.
+     */
+    async start() {
+        this.stop();
+
+        const stream = this.video.srcObject;
+        const track = stream && stream.getVideoTracks ? stream.getVideoTracks()[0] : null;
+        const controls = this.getSupportedControls(track);
+        if (controls.length === 0) {
+            return false;
+        }
+
+        this.track = track;
+        this.controls = controls;
+        this.isCorrecting = true;
+
+        // Manual exposure time and ISO only take effect with automatic exposure off
+        const modes = new Set(controls.map(control => control.mode).filter(mode => mode));
+        if (modes.size > 0) {
+            const capabilities = track.getCapabilities();
+            const mode = modes.has('manual') ? 'manual' : 'continuous';
+            if (capabilities.exposureMode && capabilities.exposureMode.includes(mode)) {
+                try {
+                    await track.applyConstraints({ advanced: [{ exposureMode: mode }] });
+                } catch (error) {
+                    console.warn('Failed to set exposure mode:', error);
+                }
+            }
+        }
+
+        this.scheduleStep(++this.loopId);
+
+        StatusMessages.dispatch(`Hardware auto exposure using ${controls.map(control => control.name).join(', ')}`);
+        return true;
+    }
+
+    /**
+     * Stop the loop; the camera keeps its last values
+     */
+    stop() {
+        this.loopId++;
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        this.track = null;
+        this.controls = [];
+        this.lastMedian = null;
+    }
+
+    /**
+     * Check if the loop is running
+     */
+    isRunning() {
+        return this.timeoutId !== null;
+    }
+
+    /**
+     * Run the next step once the camera has settled; steps never overlap, since the
+     * settle time only starts when the previous step's constraints have been applied
+     */
+    scheduleStep(loopId) {
+        this.timeoutId = setTimeout(async () => {
+            await this.step();
+            if (loopId === this.loopId) {
+                this.scheduleStep(loopId);
+            }
+        }, this.settings.interval);
+    }
+
+    /**
+     * Measure the frame and move one control towards the target
+     */
+    async step() {
+        if (!this.track || this.track.readyState === 'ended') {
+            this.stop();
+            return;
+        }
+
+        const median = this.measureMedian();
+        if (median === null) return;
+        this.lastMedian = median;
+
+        const error = this.settings.targetMedian - median;
+        const tolerance = this.isCorrecting ? this.settings.innerTolerance : this.settings.outerTolerance;
+        if (Math.abs(error) <= tolerance) {
+            this.isCorrecting = false;
+            return;
+        }
+        this.isCorrecting = true;
+
+        // Use the first control that can still move in the needed direction
+        const trackSettings = this.track.getSettings ? this.track.getSettings() : {};
+        for (const control of this.controls) {
+            if (typeof trackSettings[control.name] === 'number') {
+                control.value = trackSettings[control.name];
+            }
+
+            const value = this.getNextValue(control, median);
+            if (value === control.value) continue;
+
+            try {
+                await this.track.applyConstraints({ advanced: [{ [control.name]: value }] });
+                control.value = value;
+            } catch (error) {
+                console.warn(`Failed to set ${control.name}:`, error);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Get the damped, clamped and stepped value of a control for the measured median
+     */
+    getNextValue(control, median) {
+        const target = this.settings.targetMedian;
+        let value;
+
+        if (control.scaled) {
+            const ratio = Math.max(1 / this.settings.maxStepRatio,
+                Math.min(this.settings.maxStepRatio, target / Math.max(1, median)));
+            value = control.value * Math.pow(ratio, this.settings.damping);
+        } else {
+            // Assume the full control range spans the full luminance range
+            value = control.value + (target - median) / 255 * (control.max - control.min) * this.settings.damping;
+        }
+
+        if (control.step > 0) {
+            const steps = Math.round((value - control.min) / control.step);
+            value = control.min + steps * control.step;
+
+            // Always move at least one step, or small errors would never be corrected
+            if (value === control.value) {
+                value += Math.sign(target - median) * control.step;
+            }
+        }
+
+        return Math.max(control.min, Math.min(control.max, value));
+    }
+
+    /**
+     * Get the median luminance of the raw video frame, or null if no frame is ready
+     */
+    measureMedian() {
+        if (this.video.readyState < 2 || !this.video.videoWidth) {
+            return null;
+        }
+
+        const metered = this.meteringController ? this.meteringController.grabMeteringFrame() : null;
+        if (metered) {
+            const gray = ImageUtils.toGrayscale(metered.imageData).filter((value, index) => metered.mask[index]);
+            return gray.length > 0 ? ImageUtils.getPercentile(gray, 0.5) : null;
+        }
+
+        const scale = Math.min(1, this.settings.frameSize / Math.max(this.video.videoWidth, this.video.videoHeight));
+        const width = Math.max(1, Math.round(this.video.videoWidth * scale));
+        const height = Math.max(1, Math.round(this.video.videoHeight * scale));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.canvasContext.drawImage(this.video, 0, 0, width, height);
+        const gray = ImageUtils.toGrayscale(this.canvasContext.getImageData(0, 0, width, height));
+        return ImageUtils.getPercentile(gray, 0.5);
+    }
+}
\ No newline at end of file
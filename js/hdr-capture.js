@@ -0,0 +1,508 @@
+/**
+ * HdrCapture - Exposure bracketing merged into a tone-mapped HDR frame
+ *
+ * Runs as an ImagePipeline stage. Each bracket steps the hardware exposureTime when the camera
+ * allows manual exposure, otherwise the frames are scaled by the same 2^EV gain the exposure
+ * slider applies. Once a frame has been taken at every bracket they are merged into a radiance
+ * map (camera response taken as gamma 2.2) and tone-mapped with the Reinhard operator, so the
+ * bright secondary and the dark primary rim are both visible. Live mode repeats the bracket and
+ * keeps showing the latest merge; capture takes one merge and saves it as PNG.
+ */
+class HdrCapture {
+    constructor(exposureController, videoElement) {
+        this.exposureController = exposureController;
+        this.video = videoElement;
+        this.storageKey = 'hdrSettings';
+        this.elements = {
+            hdrLiveBtn: document.getElementById('hdrLiveBtn'),
+            hdrCaptureBtn: document.getElementById('hdrCaptureBtn'),
+            hdrBracketSelect: document.getElementById('hdrBracketSelect'),
+            hdrSpacingSlider: document.getElementById('hdrSpacingSlider'),
+            hdrSpacingValue: document.getElementById('hdrSpacingValue'),
+            hdrStatus: document.getElementById('hdrStatus')
+        };
+        this.settings = {
+            bracketCount: 3,        // Frames per bracket (3 or 5)
+            spacing: 1.5,           // EV between neighbouring frames (0.5 to 3)
+            settleTime: 400,        // Wait after a hardware exposure change before taking a frame (ms)
+            key: 0.18,              // Reinhard key: mean brightness of the tone-mapped frame
+            whitePoint: 6           // Scaled luminance that maps to white
+        };
+        this.linearTable = new Float32Array(256);   // Pixel value to linear light
+        this.weightTable = new Float32Array(256);   // Trust in a pixel value: low near black and clipping
+        for (let value = 0; value < 256; value++) {
+            this.linearTable[value] = Math.pow(value / 255, 2.2);
+            this.weightTable[value] = Math.max(0.01, 1 - Math.pow(value / 127.5 - 1, 2));
+        }
+        this.isLive = false;
+        this.isRunning = false;
+        this.saveRequested = false;
+        this.isCameraActive = false;
+        this.track = null;
+        this.originalExposure = null;   // {exposureMode, exposureTime} to restore after hardware bracketing
+        this.resumeAutoExposure = false; // Auto exposure was on before bracketing turned it off
+        this.brackets = [];             // {ev, exposureTime, gain, relativeExposure}
+        this.frames = [];
+        this.bracketIndex = 0;
+        this.readyAt = null;            // Time from which frames show the current bracket
+        this.applyCount = 0;            // Ignores exposure changes that finished after a newer one
+        this.merged = null;
+    }
+
+    /**
+     * Initialize HDR capture
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.hdrLiveBtn) {
+            this.elements.hdrLiveBtn.addEventListener('click', () => {
+                this.setLive(!this.isLive);
+            });
+        }
+
+        if (this.elements.hdrCaptureBtn) {
+            this.elements.hdrCaptureBtn.addEventListener('click', () => {
+                this.capture();
+            });
+        }
+
+        if (this.elements.hdrBracketSelect) {
+            this.elements.hdrBracketSelect.addEventListener('change', (event) => {
+                this.updateSettings({ bracketCount: parseInt(event.target.value, 10) });
+            });
+        }
+
+        if (this.elements.hdrSpacingSlider) {
+            this.elements.hdrSpacingSlider.addEventListener('input', (event) => {
+                this.updateSettings({ spacing: parseFloat(event.target.value) });
+            });
+        }
+
+        document.addEventListener('cameraStreamStarted', () => {
+            this.isCameraActive = true;
+            this.updateControls();
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.isCameraActive = false;
+            this.track = null;
+            this.originalExposure = null;
+            this.isLive = false;
+            this.saveRequested = false;
+            this.stopBracketing();
+        });
+    }
+
+    /**
+     * Turn live HDR on or off
+     */
+    async setLive(live) {
+        this.isLive = live && this.isCameraActive;
+
+        if (this.isLive && !this.isRunning) {
+            await this.startBracketing();
+        } else if (!this.isLive && !this.saveRequested) {
+            await this.stopBracketing();
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Save the next merged frame, bracketing once when live HDR is off
+     */
+    async capture() {
+        if (!this.isCameraActive || this.saveRequested) return;
+
+        this.saveRequested = true;
+        if (!this.isRunning) {
+            await this.startBracketing();
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Choose the bracket exposures and take the first frame
+     */
+    async startBracketing() {
+        const stream = this.video.srcObject;
+        this.track = stream && stream.getVideoTracks ? stream.getVideoTracks()[0] : null;
+        this.brackets = this.createBrackets();
+        this.isRunning = true;
+
+        // The auto exposure loop would fight the bracket exposures
+        if (this.exposureController.settings.autoExposure) {
+            this.resumeAutoExposure = true;
+            await this.exposureController.setAutoExposure(false);
+        }
+
+        this.restartBracket();
+        StatusMessages.dispatch(this.isHardwareBracket() ?
+            'HDR bracketing with the camera exposure time' :
+            'HDR bracketing with software gain (the camera has no manual exposure time)');
+    }
+
+    /**
+     * Stop bracketing and give the camera its own exposure back
+     */
+    async stopBracketing() {
+        this.isRunning = false;
+        this.saveRequested = false;
+        this.applyCount++;
+        this.readyAt = null;
+        this.frames = [];
+        this.merged = null;
+
+        if (this.track && this.originalExposure && this.track.readyState === 'live') {
+            const { exposureMode, exposureTime } = this.originalExposure;
+            const constraints = exposureMode === 'manual' ? { exposureMode, exposureTime } : { exposureMode };
+            try {
+                await this.track.applyConstraints({ advanced: [constraints] });
+            } catch (error) {
+                console.warn('Failed to restore camera exposure:', error);
+            }
+        }
+        this.originalExposure = null;
+
+        if (this.resumeAutoExposure) {
+            this.resumeAutoExposure = false;
+            if (this.isCameraActive) {
+                await this.exposureController.setAutoExposure(true);
+            } else {
+                // Picked up again when the next camera starts
+                this.exposureController.settings.autoExposure = true;
+            }
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Get the exposures of a bracket, centred on the current exposure
+     */
+    createBrackets() {
+        const capabilities = this.track && this.track.getCapabilities ? this.track.getCapabilities() : {};
+        const trackSettings = this.track && this.track.getSettings ? this.track.getSettings() : {};
+        const range = capabilities.exposureTime;
+        const canSetManual = Array.isArray(capabilities.exposureMode) && capabilities.exposureMode.includes('manual');
+        const count = this.settings.bracketCount;
+        const evs = Array.from({ length: count }, (_, index) => (index - (count - 1) / 2) * this.settings.spacing);
+
+        if (range && canSetManual && range.max > range.min) {
+            if (!this.originalExposure) {
+                this.originalExposure = {
+                    exposureMode: trackSettings.exposureMode || 'continuous',
+                    exposureTime: trackSettings.exposureTime
+                };
+            }
+
+            const base = this.originalExposure.exposureTime || Math.sqrt(Math.max(range.min, 1) * range.max);
+            return evs.map(ev => {
+                let exposureTime = Math.max(range.min, Math.min(range.max, base * Math.pow(2, ev)));
+                if (range.step) {
+                    exposureTime = Math.max(range.min, range.min + Math.round((exposureTime - range.min) / range.step) * range.step);
+                }
+                return { ev, exposureTime, gain: 1, relativeExposure: exposureTime / base };
+            });
+        }
+
+        // Gain is applied to gamma-encoded values, which is gain^2.2 in linear light
+        return evs.map(ev => ({ ev, exposureTime: null, gain: Math.pow(2, ev), relativeExposure: Math.pow(2, ev * 2.2) }));
+    }
+
+    /**
+     * Check if the current bracket steps the camera exposure
+     */
+    isHardwareBracket() {
+        return this.brackets.length > 0 && this.brackets[0].exposureTime !== null;
+    }
+
+    /**
+     * Start a new bracket at its first exposure
+     */
+    restartBracket() {
+        this.frames = [];
+        this.bracketIndex = 0;
+        this.applyBracket(0);
+    }
+
+    /**
+     * Set the exposure of a bracket frame; frames are taken once it has settled
+     */
+    async applyBracket(index) {
+        const bracket = this.brackets[index];
+        const applyId = ++this.applyCount;
+        this.readyAt = null;
+
+        if (bracket.exposureTime === null || !this.track) {
+            this.readyAt = performance.now();
+            return;
+        }
+
+        try {
+            await this.track.applyConstraints({ advanced: [{ exposureMode: 'manual', exposureTime: bracket.exposureTime }] });
+        } catch (error) {
+            console.warn('Failed to set bracket exposure, using software gain:', error);
+            this.brackets = this.brackets.map(({ ev }) => ({ ev, exposureTime: null, gain: Math.pow(2, ev), relativeExposure: Math.pow(2, ev * 2.2) }));
+        }
+
+        if (applyId === this.applyCount) {
+            this.readyAt = performance.now() + (this.isHardwareBracket() ? this.settings.settleTime : 0);
+        }
+    }
+
+    /**
+     * Check if the stage should run (pipeline stage interface)
+     */
+    isActive() {
+        return this.isRunning;
+    }
+
+    /**
+     * Restart the bracket, e.g. after zoom or pan changed the region (pipeline stage interface)
+     */
+    reset() {
+        this.merged = null;
+        if (this.isRunning) {
+            this.restartBracket();
+        }
+    }
+
+    /**
+     * Take the frame for the current bracket and return the latest merge (pipeline stage interface)
+     */
+    process(imageData) {
+        if (this.readyAt !== null && performance.now() >= this.readyAt) {
+            this.frames[this.bracketIndex] = this.copyFrame(imageData, this.brackets[this.bracketIndex].gain);
+
+            if (this.bracketIndex + 1 < this.brackets.length) {
+                this.bracketIndex++;
+                this.applyBracket(this.bracketIndex);
+            } else {
+                this.merged = this.mergeBrackets(this.frames, this.brackets.map(bracket => bracket.relativeExposure));
+                this.finishBracket();
+            }
+            this.updateStatus();
+        }
+
+        // Later stages work in place, so they get a copy and the merge stays untouched
+        if (this.merged && this.merged.width === imageData.width && this.merged.height === imageData.height) {
+            imageData.data.set(this.merged.data);
+        }
+        return imageData;
+    }
+
+    /**
+     * Save the merge when requested, then bracket again in live mode
+     */
+    finishBracket() {
+        if (this.saveRequested) {
+            this.saveRequested = false;
+            this.saveMerged(this.merged);
+        }
+
+        if (this.isLive) {
+            this.restartBracket();
+        } else {
+            this.stopBracketing();
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Copy a frame, scaled by a software gain
+     */
+    copyFrame(imageData, gain) {
+        const copy = new Uint8ClampedArray(imageData.data);
+        if (gain !== 1) {
+            for (let index = 0; index < copy.length; index += 4) {
+                copy[index] = copy[index] * gain;
+                copy[index + 1] = copy[index + 1] * gain;
+                copy[index + 2] = copy[index + 2] * gain;
+            }
+        }
+        return new ImageData(copy, imageData.width, imageData.height);
+    }
+
+    /**
+     * Merge bracket frames into a radiance map and tone-map it to a displayable frame
+     * Each frame's linear values are divided by its relative exposure and averaged with weights
+     * that trust mid-tones and distrust values near black or clipping (brightest channel).
+     */
+    mergeBrackets(frames, relativeExposures) {
+        const { width, height } = frames[0];
+        const pixelCount = width * height;
+        const radiance = new Float32Array(pixelCount * 3);
+        const luminance = new Float32Array(pixelCount);
+        let logSum = 0;
+
+        for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+            const dataIndex = pixelIndex * 4;
+            let red = 0;
+            let green = 0;
+            let blue = 0;
+            let weightSum = 0;
+
+            for (let frameIndex = 0; frameIndex < frames.length; frameIndex++) {
+                const data = frames[frameIndex].data;
+                const weight = this.weightTable[Math.max(data[dataIndex], data[dataIndex + 1], data[dataIndex + 2])];
+                const scale = weight / relativeExposures[frameIndex];
+
+                red += this.linearTable[data[dataIndex]] * scale;
+                green += this.linearTable[data[dataIndex + 1]] * scale;
+                blue += this.linearTable[data[dataIndex + 2]] * scale;
+                weightSum += weight;
+            }
+
+            const radianceIndex = pixelIndex * 3;
+            radiance[radianceIndex] = red / weightSum;
+            radiance[radianceIndex + 1] = green / weightSum;
+            radiance[radianceIndex + 2] = blue / weightSum;
+
+            const pixelLuminance = 0.2126 * red / weightSum + 0.7152 * green / weightSum + 0.0722 * blue / weightSum;
+            luminance[pixelIndex] = pixelLuminance;
+            logSum += Math.log(pixelLuminance + 1e-6);
+        }
+
+        // Reinhard global operator, scaled so the log-average luminance maps to the key
+        const exposureScale = this.settings.key / Math.exp(logSum / pixelCount);
+        const whiteSquared = this.settings.whitePoint * this.settings.whitePoint;
+        const output = new ImageData(width, height);
+        const data = output.data;
+
+        for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+            const scaled = luminance[pixelIndex] * exposureScale;
+            const mapped = scaled * (1 + scaled / whiteSquared) / (1 + scaled);
+            const ratio = luminance[pixelIndex] > 0 ? mapped / luminance[pixelIndex] : 0;
+            const radianceIndex = pixelIndex * 3;
+            const dataIndex = pixelIndex * 4;
+
+            data[dataIndex] = Math.pow(Math.min(1, radiance[radianceIndex] * ratio), 1 / 2.2) * 255;
+            data[dataIndex + 1] = Math.pow(Math.min(1, radiance[radianceIndex + 1] * ratio), 1 / 2.2) * 255;
+            data[dataIndex + 2] = Math.pow(Math.min(1, radiance[radianceIndex + 2] * ratio), 1 / 2.2) * 255;
+            data[dataIndex + 3] = 255;
+        }
+
+        return output;
+    }
+
+    /**
+     * Download a merged frame as PNG
+     */
+    saveMerged(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                StatusMessages.dispatch('Failed to save the HDR frame', 'danger');
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `hdr-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            StatusMessages.dispatch('HDR frame saved', 'success');
+        }, 'image/png');
+    }
+
+    /**
+     * Show the bracket progress
+     */
+    updateStatus() {
+        if (!this.elements.hdrStatus) return;
+
+        let text = 'HDR off';
+        if (this.isRunning) {
+            const method = this.isHardwareBracket() ? 'exposure time' : 'software gain';
+            text = this.merged ?
+                `Merged ${this.brackets.length} frames ±${(this.settings.spacing * (this.brackets.length - 1) / 2).toFixed(1)} EV (${method})` :
+                `Bracket frame ${this.frames.length + 1}/${this.brackets.length} (${method})`;
+        }
+        if (this.elements.hdrStatus.textContent !== text) {
+            this.elements.hdrStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Show the HDR state in the controls
+     */
+    updateControls() {
+        if (this.elements.hdrLiveBtn) {
+            this.elements.hdrLiveBtn.classList.toggle('active', this.isLive);
+            this.elements.hdrLiveBtn.disabled = !this.isCameraActive;
+        }
+        if (this.elements.hdrCaptureBtn) {
+            this.elements.hdrCaptureBtn.disabled = !this.isCameraActive || this.saveRequested;
+        }
+        if (this.elements.hdrBracketSelect) {
+            this.elements.hdrBracketSelect.value = this.settings.bracketCount;
+        }
+        if (this.elements.hdrSpacingSlider) {
+            this.elements.hdrSpacingSlider.value = this.settings.spacing;
+        }
+        if (this.elements.hdrSpacingValue) {
+            this.elements.hdrSpacingValue.textContent = this.settings.spacing.toFixed(1);
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Update bracket settings and save them; a running bracket starts over
+     */
+    updateSettings(newSettings) {
+        const bracketCount = newSettings.bracketCount === 5 ? 5 : (newSettings.bracketCount === 3 ? 3 : this.settings.bracketCount);
+        const spacing = Math.max(0.5, Math.min(3, newSettings.spacing || this.settings.spacing));
+        this.settings = { ...this.settings, bracketCount, spacing };
+
+        if (this.isRunning) {
+            this.brackets = this.createBrackets();
+            this.merged = null;
+            this.restartBracket();
+        }
+
+        this.saveSettings();
+        this.updateControls();
+    }
+
+    /**
+     * Save HDR settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                bracketCount: this.settings.bracketCount,
+                spacing: this.settings.spacing
+            }));
+        } catch (error) {
+            console.warn('Failed to save HDR settings:', error);
+        }
+    }
+
+    /**
+     * Load HDR settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.settings.bracketCount = settings.bracketCount === 5 ? 5 : 3;
+                this.settings.spacing = Math.max(0.5, Math.min(3, parseFloat(settings.spacing) || this.settings.spacing));
+            }
+        } catch (error) {
+            console.warn('Failed to load HDR settings:', error);
+        }
+    }
+}
\ No newline at end of file
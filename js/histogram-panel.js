@@ -0,0 +1,358 @@
+/**
+ * HistogramPanel - Live luminance/RGB histogram, brightness statistics and clipping (zebra) overlay
+ *
+ * Reads the frame the analyzers see (the processed frame when the image pipeline is active),
+ * so the readout matches what is on screen.
+ */
+class HistogramPanel {
+    constructor(frameGrabber, zoomController, exposureController, containerElement) {
+        this.frameGrabber = frameGrabber;
+        this.zoomController = zoomController;
+        this.exposureController = exposureController;
+        this.container = containerElement;
+        this.storageKey = 'histogramSettings';
+        this.elements = {
+            histogramCanvas: document.getElementById('histogramCanvas'),
+            histogramStats: document.getElementById('histogramStats'),
+            histogramClipping: document.getElementById('histogramClipping'),
+            zebraToggleBtn: document.getElementById('zebraToggleBtn'),
+            zebraCanvas: document.getElementById('zebraCanvas')
+        };
+        this.canvasContext = this.elements.histogramCanvas ? this.elements.histogramCanvas.getContext('2d') : null;
+        this.zebraContext = this.elements.zebraCanvas ? this.elements.zebraCanvas.getContext('2d') : null;
+        this.maskCanvas = document.createElement('canvas');
+        this.maskContext = this.maskCanvas.getContext('2d');
+        this.settings = {
+            updateInterval: 300,   // Histogram refresh while the camera runs (ms)
+            frameSize: 320,        // Longest side of the sampled frame
+            clipHigh: 250,         // A channel at or above this is blown out
+            clipLow: 5,            // All channels at or below this are black
+            stripeWidth: 6,        // Zebra stripe width in screen pixels
+            showZebra: false
+        };
+        this.updateIntervalId = null;
+    }
+
+    /**
+     * Initialize histogram panel
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        this.clear();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.zebraToggleBtn) {
+            this.elements.zebraToggleBtn.addEventListener('click', () => {
+                this.settings.showZebra = !this.settings.showZebra;
+                this.saveSettings();
+                this.updateControls();
+                this.update();
+            });
+        }
+
+        document.addEventListener('cameraStreamStarted', () => {
+            this.start();
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.stop();
+        });
+    }
+
+    /**
+     * Start updating a few times per second
+     */
+    start() {
+        if (this.updateIntervalId) return;
+
+        this.updateIntervalId = setInterval(() => {
+            if (!document.hidden) {
+                this.update();
+            }
+        }, this.settings.updateInterval);
+    }
+
+    /**
+     * Stop updating and clear the readout
+     */
+    stop() {
+        clearInterval(this.updateIntervalId);
+        this.updateIntervalId = null;
+        this.clear();
+    }
+
+    /**
+     * Measure the current frame and refresh the histogram, statistics and zebra overlay
+     */
+    update() {
+        if (!this.updateIntervalId) return;
+
+        const frame = this.frameGrabber.grabFrame({
+            region: this.zoomController.getVisibleContentRect(),
+            maxSize: this.settings.frameSize
+        });
+        if (!frame) return;
+
+        const histograms = ImageUtils.computeHistograms(frame.imageData);
+        const statistics = this.exposureController.getBrightnessStatistics(frame.imageData);
+        const clipping = this.getClipping(frame.imageData);
+
+        this.drawHistogram(histograms);
+        this.showStatistics(statistics, clipping);
+
+        if (this.settings.showZebra) {
+            this.drawZebra(frame.imageData);
+        } else {
+            this.clearZebra();
+        }
+    }
+
+    /**
+     * Get the share of blown-out and black pixels
+     */
+    getClipping(imageData) {
+        const data = imageData.data;
+        const pixelCount = data.length / 4;
+        let highlights = 0;
+        let shadows = 0;
+
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+            const maximum = Math.max(data[dataIndex], data[dataIndex + 1], data[dataIndex + 2]);
+
+            if (maximum >= this.settings.clipHigh) highlights++;
+            else if (maximum <= this.settings.clipLow) shadows++;
+        }
+
+        return {
+            highlightRatio: highlights / pixelCount,
+            shadowRatio: shadows / pixelCount
+        };
+    }
+
+    /**
+     * Draw the luminance histogram filled and the RGB histograms as lines
+     */
+    drawHistogram(histograms) {
+        if (!this.canvasContext) return;
+
+        const canvas = this.elements.histogramCanvas;
+        const context = this.canvasContext;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        this.drawBackground();
+
+        // Scale to the tallest bin, ignoring the end bins so a black sky or clipped spot does not flatten the rest
+        let peak = 1;
+        ['luminance', 'red', 'green', 'blue'].forEach(channel => {
+            for (let value = 1; value < 255; value++) {
+                peak = Math.max(peak, histograms[channel][value]);
+            }
+        });
+        const toY = count => height - Math.min(1, count / peak) * (height - 2);
+
+        context.fillStyle = 'rgba(201, 209, 217, 0.35)';
+        context.beginPath();
+        context.moveTo(0, height);
+        for (let value = 0; value < 256; value++) {
+            context.lineTo((value + 0.5) / 256 * width, toY(histograms.luminance[value]));
+        }
+        context.lineTo(width, height);
+        context.closePath();
+        context.fill();
+
+        context.lineWidth = 1;
+        [['red', 'rgba(255, 80, 80, 0.9)'], ['green', 'rgba(80, 220, 80, 0.9)'], ['blue', 'rgba(90, 140, 255, 0.9)']]
+            .forEach(([channel, color]) => {
+                context.strokeStyle = color;
+                context.beginPath();
+                for (let value = 0; value < 256; value++) {
+                    const x = (value + 0.5) / 256 * width;
+                    const y = toY(histograms[channel][value]);
+                    if (value === 0) {
+                        context.moveTo(x, y);
+                    } else {
+                        context.lineTo(x, y);
+                    }
+                }
+                context.stroke();
+            });
+    }
+
+    /**
+     * Draw the empty histogram with the auto exposure dark/bright limits
+     */
+    drawBackground() {
+        const canvas = this.elements.histogramCanvas;
+        const context = this.canvasContext;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = '#0d1117';
+        context.fillRect(0, 0, width, height);
+
+        context.save();
+        context.setLineDash([3, 3]);
+        context.strokeStyle = '#30363d';
+        [50, 200].forEach(value => {
+            context.beginPath();
+            context.moveTo(value / 256 * width, 0);
+            context.lineTo(value / 256 * width, height);
+            context.stroke();
+        });
+        context.restore();
+    }
+
+    /**
+     * Show the brightness statistics used by auto exposure and the clipped fractions
+     */
+    showStatistics(statistics, clipping) {
+        const percent = ratio => `${(ratio * 100).toFixed(1)}%`;
+
+        if (this.elements.histogramStats) {
+            this.elements.histogramStats.textContent =
+                `Mean ${statistics.avgBrightness.toFixed(0)} · Dark ${percent(statistics.darkRatio)} · Bright ${percent(statistics.brightRatio)}`;
+        }
+        if (this.elements.histogramClipping) {
+            this.elements.histogramClipping.textContent =
+                `Clipped: ${percent(clipping.highlightRatio)} highlights, ${percent(clipping.shadowRatio)} black`;
+            this.elements.histogramClipping.classList.toggle('text-warning', clipping.highlightRatio > 0.001);
+        }
+    }
+
+    /**
+     * Stripe blown-out regions red and black regions blue
+     * The clipping mask is built at frame resolution and stretched over the container;
+     * the stripes are drawn at screen resolution so they stay sharp.
+     */
+    drawZebra(imageData) {
+        const canvas = this.elements.zebraCanvas;
+        if (!this.zebraContext) return;
+
+        const { width, height, data } = imageData;
+        if (this.maskCanvas.width !== width || this.maskCanvas.height !== height) {
+            this.maskCanvas.width = width;
+            this.maskCanvas.height = height;
+        }
+
+        const mask = this.maskContext.createImageData(width, height);
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+            const maximum = Math.max(data[dataIndex], data[dataIndex + 1], data[dataIndex + 2]);
+            if (maximum >= this.settings.clipHigh) {
+                mask.data[dataIndex] = 255;
+                mask.data[dataIndex + 1] = 40;
+                mask.data[dataIndex + 2] = 40;
+                mask.data[dataIndex + 3] = 255;
+            } else if (maximum <= this.settings.clipLow) {
+                mask.data[dataIndex] = 40;
+                mask.data[dataIndex + 1] = 120;
+                mask.data[dataIndex + 2] = 255;
+                mask.data[dataIndex + 3] = 255;
+            }
+        }
+        this.maskContext.putImageData(mask, 0, 0);
+
+        const containerWidth = this.container.clientWidth;
+        const containerHeight = this.container.clientHeight;
+        if (canvas.width !== containerWidth || canvas.height !== containerHeight) {
+            canvas.width = containerWidth;
+            canvas.height = containerHeight;
+        }
+
+        const context = this.zebraContext;
+        const stripe = this.settings.stripeWidth;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Diagonal stripes, then keep the mask colors only where a stripe is
+        context.fillStyle = '#ffffff';
+        context.beginPath();
+        for (let offset = -canvas.height; offset < canvas.width; offset += stripe * 2) {
+            context.moveTo(offset, canvas.height);
+            context.lineTo(offset + stripe, canvas.height);
+            context.lineTo(offset + stripe + canvas.height, 0);
+            context.lineTo(offset + canvas.height, 0);
+            context.closePath();
+        }
+        context.fill();
+
+        context.save();
+        context.globalCompositeOperation = 'source-in';
+        context.imageSmoothingEnabled = false;
+        context.drawImage(this.maskCanvas, 0, 0, canvas.width, canvas.height);
+        context.restore();
+
+        canvas.style.display = 'block';
+    }
+
+    /**
+     * Remove the zebra overlay
+     */
+    clearZebra() {
+        const canvas = this.elements.zebraCanvas;
+        if (!canvas) return;
+
+        canvas.style.display = 'none';
+        if (this.zebraContext) {
+            this.zebraContext.clearRect(0, 0, canvas.width, canvas.height);
+        }
+    }
+
+    /**
+     * Reset the readout while no camera is running
+     */
+    clear() {
+        if (this.canvasContext) {
+            this.drawBackground();
+        }
+        if (this.elements.histogramStats) {
+            this.elements.histogramStats.textContent = 'Start the camera to see the histogram';
+        }
+        if (this.elements.histogramClipping) {
+            this.elements.histogramClipping.textContent = '';
+            this.elements.histogramClipping.classList.remove('text-warning');
+        }
+        this.clearZebra();
+    }
+
+    /**
+     * Show the zebra state in the controls
+     */
+    updateControls() {
+        if (this.elements.zebraToggleBtn) {
+            this.elements.zebraToggleBtn.classList.toggle('active', this.settings.showZebra);
+        }
+    }
+
+    /**
+     * Save histogram settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ showZebra: this.settings.showZebra }));
+        } catch (error) {
+            console.warn('Failed to save histogram settings:', error);
+        }
+    }
+
+    /**
+     * Load histogram settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                this.settings.showZebra = JSON.parse(saved).showZebra === true;
+            }
+        } catch (error) {
+            console.warn('Failed to load histogram settings:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * ImageFilters - Denoise (median or bilateral) and unsharp-mask sharpening
+ *
+ * Runs as an ImagePipeline stage after stacking and before the exposure adjustments, so faint
+ * outlines are cleaned up and sharpened for both the display and the analyzers.
+ */
+class ImageFilters {
+    constructor() {
+        this.storageKey = 'imageFilters';
+        this.elements = {
+            denoiseSlider: document.getElementById('denoiseSlider'),
+            denoiseValue: document.getElementById('denoiseValue'),
+            denoiseMethodSelect: document.getElementById('denoiseMethodSelect'),
+            sharpenSlider: document.getElementById('sharpenSlider'),
+            sharpenValue: document.getElementById('sharpenValue')
+        };
+        this.settings = {
+            denoise: 0,             // 0 to 100 (percentage)
+            denoiseMethod: 'median', // 'median' (removes speckle) or 'bilateral' (keeps edges sharp)
+            sharpen: 0              // 0 to 300 (unsharp mask amount, percentage)
+        };
+        this.rangeWeights = null;   // Bilateral weight per intensity difference, rebuilt on change
+    }
+
+    /**
+     * Initialize image filters
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.denoiseSlider) {
+            this.elements.denoiseSlider.addEventListener('input', (event) => {
+                this.updateSettings({ denoise: parseInt(event.target.value, 10) });
+            });
+        }
+
+        if (this.elements.denoiseMethodSelect) {
+            this.elements.denoiseMethodSelect.addEventListener('change', (event) => {
+                this.updateSettings({ denoiseMethod: event.target.value });
+            });
+        }
+
+        if (this.elements.sharpenSlider) {
+            this.elements.sharpenSlider.addEventListener('input', (event) => {
+                this.updateSettings({ sharpen: parseInt(event.target.value, 10) });
+            });
+        }
+    }
+
+    /**
+     * Check if the stage should run (pipeline stage interface)
+     */
+    isActive() {
+        return this.settings.denoise > 0 || this.settings.sharpen > 0;
+    }
+
+    /**
+     * Denoise, then sharpen a frame (pipeline stage interface)
+     */
+    process(imageData) {
+        if (this.settings.denoise > 0) {
+            imageData = this.settings.denoiseMethod === 'bilateral' ?
+                this.applyBilateral(imageData) :
+                this.applyMedian(imageData);
+        }
+        if (this.settings.sharpen > 0) {
+            imageData = this.applyUnsharpMask(imageData);
+        }
+        return imageData;
+    }
+
+    /**
+     * 3x3 median per channel, blended with the original by the denoise strength
+     */
+    applyMedian(imageData) {
+        const { width, height, data } = imageData;
+        const source = new Uint8ClampedArray(data);
+        const strength = this.settings.denoise / 100;
+        const values = new Uint8Array(9);
+
+        for (let y = 0; y < height; y++) {
+            const top = Math.max(0, y - 1);
+            const bottom = Math.min(height - 1, y + 1);
+
+            for (let x = 0; x < width; x++) {
+                const left = Math.max(0, x - 1);
+                const right = Math.min(width - 1, x + 1);
+                const dataIndex = (y * width + x) * 4;
+
+                for (let channel = 0; channel < 3; channel++) {
+                    let count = 0;
+
+                    // Insertion sort is fast for the few values per pixel
+                    for (let sampleY = top; sampleY <= bottom; sampleY++) {
+                        for (let sampleX = left; sampleX <= right; sampleX++) {
+                            const value = source[(sampleY * width + sampleX) * 4 + channel];
+                            let position = count++;
+                            while (position > 0 && values[position - 1] > value) {
+                                values[position] = values[position - 1];
+                                position--;
+                            }
+                            values[position] = value;
+                        }
+                    }
+
+                    const original = source[dataIndex + channel];
+                    data[dataIndex + channel] = original + (values[count >> 1] - original) * strength;
+                }
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * 3x3 bilateral filter: averages similar neighbors only, so edges are kept
+     * The denoise strength sets how large an intensity difference still counts as noise.
+     */
+    applyBilateral(imageData) {
+        const { width, height, data } = imageData;
+        const source = new Uint8ClampedArray(data);
+        const rangeWeights = this.getRangeWeights();
+        const spatialWeights = [];
+
+        for (let offsetY = -1; offsetY <= 1; offsetY++) {
+            for (let offsetX = -1; offsetX <= 1; offsetX++) {
+                spatialWeights.push({
+                    offsetX,
+                    offsetY,
+                    weight: Math.exp(-(offsetX * offsetX + offsetY * offsetY) / 2)
+                });
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dataIndex = (y * width + x) * 4;
+                const red = source[dataIndex];
+                const green = source[dataIndex + 1];
+                const blue = source[dataIndex + 2];
+                let sumRed = 0;
+                let sumGreen = 0;
+                let sumBlue = 0;
+                let sumWeight = 0;
+
+                for (const sample of spatialWeights) {
+                    const sampleX = Math.max(0, Math.min(width - 1, x + sample.offsetX));
+                    const sampleY = Math.max(0, Math.min(height - 1, y + sample.offsetY));
+                    const sampleIndex = (sampleY * width + sampleX) * 4;
+                    const difference = (Math.abs(source[sampleIndex] - red) +
+                        Math.abs(source[sampleIndex + 1] - green) +
+                        Math.abs(source[sampleIndex + 2] - blue)) / 3;
+                    const weight = sample.weight * rangeWeights[Math.round(difference)];
+
+                    sumRed += source[sampleIndex] * weight;
+                    sumGreen += source[sampleIndex + 1] * weight;
+                    sumBlue += source[sampleIndex + 2] * weight;
+                    sumWeight += weight;
+                }
+
+                data[dataIndex] = sumRed / sumWeight;
+                data[dataIndex + 1] = sumGreen / sumWeight;
+                data[dataIndex + 2] = sumBlue / sumWeight;
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Get the bilateral weight for each mean channel difference (0-255)
+     */
+    getRangeWeights() {
+        if (!this.rangeWeights) {
+            const sigma = 2 + this.settings.denoise * 0.4; // 2 to 42 intensity levels
+            this.rangeWeights = new Float32Array(256);
+            for (let difference = 0; difference < 256; difference++) {
+                this.rangeWeights[difference] = Math.exp(-(difference * difference) / (2 * sigma * sigma));
+            }
+        }
+        return this.rangeWeights;
+    }
+
+    /**
+     * Unsharp mask: add the difference to a 3x3 blur, scaled by the sharpen amount
+     */
+    applyUnsharpMask(imageData) {
+        const { width, height, data } = imageData;
+        const pixelCount = width * height;
+        const amount = this.settings.sharpen / 100;
+        const channel = new Float32Array(pixelCount);
+
+        for (let channelIndex = 0; channelIndex < 3; channelIndex++) {
+            for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+                channel[pixelIndex] = data[pixelIndex * 4 + channelIndex];
+            }
+
+            const blurred = ImageUtils.boxBlur(channel, width, height);
+            for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+                const original = channel[pixelIndex];
+                data[pixelIndex * 4 + channelIndex] = original + (original - blurred[pixelIndex]) * amount;
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Show the filter settings in the controls
+     */
+    updateControls() {
+        if (this.elements.denoiseSlider) {
+            this.elements.denoiseSlider.value = this.settings.denoise;
+        }
+        if (this.elements.denoiseValue) {
+            this.elements.denoiseValue.textContent = `${this.settings.denoise}%`;
+        }
+        if (this.elements.denoiseMethodSelect) {
+            this.elements.denoiseMethodSelect.value = this.settings.denoiseMethod;
+        }
+        if (this.elements.sharpenSlider) {
+            this.elements.sharpenSlider.value = this.settings.sharpen;
+        }
+        if (this.elements.sharpenValue) {
+            this.elements.sharpenValue.textContent = `${this.settings.sharpen}%`;
+        }
+    }
+
+    /**
+     * Update filter settings and save them
+     */
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        this.settings.denoise = Math.max(0, Math.min(100, this.settings.denoise));
+        this.settings.sharpen = Math.max(0, Math.min(300, this.settings.sharpen));
+        this.rangeWeights = null;
+
+        this.saveSettings();
+        this.updateControls();
+    }
+
+    /**
+     * Save filter settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save filter settings:', error);
+        }
+    }
+
+    /**
+     * Load filter settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.settings.denoise = Math.max(0, Math.min(100, settings.denoise || 0));
+                this.settings.denoiseMethod = settings.denoiseMethod === 'bilateral' ? 'bilateral' : 'median';
+                this.settings.sharpen = Math.max(0, Math.min(300, settings.sharpen || 0));
+            }
+        } catch (error) {
+            console.warn('Failed to load filter settings:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * ImagePipeline - Turns raw video frames into processed frames
+ *
+ * Each new video frame is grabbed for the visible region at the camera's native resolution and
+ * passed through the processing stages in order. The result is drawn to the processed canvas,
+ * which is shown in place of the video and becomes the frame grabber's source, so the analyzers
+ * read exactly the pixels that are on screen.
+ *
+ * A stage is an object with isActive() and process(imageData, context), which returns the
+ * processed image data (stages may modify it in place). The context holds the content region,
+ * the frame size and sourceX/sourceY, the position of the frame's first pixel in camera pixels.
+ * An optional reset() is called whenever the processed region changes. Stages with displayOnly
+ * set (view modes) are added last and only change what is shown; the analyzers read the frame
+ * from before them. A stage can also leave its result out of the shown or the analyzed frame
+ * with optional isShown() and isAnalyzed(); the stages after it then run on both frames, so
+ * they must not keep state between frames. With no active stage the live video is used directly.
+ */
+class ImagePipeline {
+    constructor(videoElement, containerElement, frameGrabber, zoomController) {
+        this.video = videoElement;
+        this.container = containerElement;
+        this.frameGrabber = frameGrabber;                                    // Shared grabber the analyzers read from
+        this.videoGrabber = new FrameGrabber(videoElement, containerElement); // Always reads the raw video
+        this.zoomController = zoomController;
+        this.canvas = document.getElementById('processedCanvas') || document.createElement('canvas');
+        this.canvasContext = this.canvas.getContext('2d');
+        this.analysisCanvas = document.createElement('canvas');              // Analyzed frame when it differs from the shown one
+        this.analysisContext = this.analysisCanvas.getContext('2d');
+        this.stages = [];
+        this.region = null;
+        this.isCameraActive = false;
+        this.animationId = null;
+        this.lastVideoTime = -1;
+        this.lastProcessTime = 0;
+        this.lastProcessDuration = 0;
+    }
+
+    /**
+     * Initialize image pipeline
+     */
+    initialize() {
+        this.setupEventListeners();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // The processed frames cover the visible region, so zoom and pan start the stateful
+        // stages over; the last processed frame stays up until the next one replaces it
+        this.container.addEventListener('zoomChanged', () => {
+            this.resetStages();
+        });
+
+        document.addEventListener('cameraStreamStarted', () => {
+            this.isCameraActive = true;
+            this.start();
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.isCameraActive = false;
+            this.stop();
+        });
+    }
+
+    /**
+     * Add a processing stage; stages run in the order they were added
+     */
+    addStage(stage) {
+        this.stages.push(stage);
+    }
+
+    /**
+     * Start processing new video frames while the camera is running
+     */
+    start() {
+        if (this.animationId || !this.isCameraActive) {
+            return;
+        }
+
+        const loop = () => {
+            this.animationId = requestAnimationFrame(loop);
+
+            // Only process new video frames, and skip some when processing is slower than the display
+            const now = performance.now();
+            if (this.video.currentTime === this.lastVideoTime || now - this.lastProcessTime < this.lastProcessDuration) {
+                return;
+            }
+
+            this.lastVideoTime = this.video.currentTime;
+            this.lastProcessTime = now;
+            this.processFrame();
+            this.lastProcessDuration = performance.now() - now;
+        };
+
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * Stop processing and switch back to the live video
+     */
+    stop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        this.lastVideoTime = -1;
+        this.region = null;
+        this.setOutputVisible(false);
+        this.resetStages();
+    }
+
+    /**
+     * Drop state that depends on the processed region (e.g. stacked frames)
+     */
+    resetStages() {
+        this.stages.forEach(stage => {
+            if (stage.reset) {
+                stage.reset();
+            }
+        });
+    }
+
+    /**
+     * Run the active stages on the current video frame and show the result
+     */
+    processFrame() {
+        const activeStages = this.stages.filter(stage => stage.isActive());
+
+        if (activeStages.length === 0) {
+            this.setOutputVisible(false);
+            return;
+        }
+
+        const region = this.zoomController.getVisibleContentRect();
+        const frame = this.videoGrabber.grabFrame({ region, native: true });
+        if (!frame) {
+            return;
+        }
+
+        // A new frame size (camera or container resize) cannot be combined with earlier frames
+        if (this.region && (frame.width !== this.canvas.width || frame.height !== this.canvas.height)) {
+            this.resetStages();
+        }
+
+        this.region = region;
+        const layout = this.videoGrabber.getCoverLayout();
+        const context = {
+            region,
+            width: frame.width,
+            height: frame.height,
+            sourceX: Math.round((region.x - layout.offsetX) / layout.scale),
+            sourceY: Math.round((region.y - layout.offsetY) / layout.scale)
+        };
+        let shownData = frame.imageData;
+        let analyzedData = shownData;      // Same frame until a stage only applies to one of them
+
+        try {
+            activeStages.forEach(stage => {
+                if (stage.displayOnly) {
+                    // Keep the frame the analyzers should see from before the first view mode
+                    if (analyzedData === shownData) {
+                        analyzedData = this.copyImageData(shownData);
+                    }
+                    shownData = stage.process(shownData, context);
+                    return;
+                }
+
+                if (analyzedData !== shownData) {
+                    analyzedData = stage.process(analyzedData, context);
+                    shownData = stage.process(shownData, context);
+                    return;
+                }
+
+                const shown = !stage.isShown || stage.isShown();
+                const analyzed = !stage.isAnalyzed || stage.isAnalyzed();
+                const input = shown && analyzed ? null : this.copyImageData(shownData);
+                const output = stage.process(shownData, context);
+                shownData = shown ? output : input;
+                analyzedData = analyzed ? output : input;
+            });
+        } catch (error) {
+            console.error('Image processing failed:', error);
+            this.setOutputVisible(false);
+            return;
+        }
+
+        this.resizeCanvas(this.canvas, frame);
+        this.canvasContext.putImageData(shownData, 0, 0);
+
+        let analysisSource = this.canvas;
+        if (analyzedData !== shownData) {
+            this.resizeCanvas(this.analysisCanvas, frame);
+            this.analysisContext.putImageData(analyzedData, 0, 0);
+            analysisSource = this.analysisCanvas;
+        }
+        this.setOutputVisible(true, analysisSource);
+    }
+
+    /**
+     * Copy image data, for a frame that must not change when a stage works in place
+     */
+    copyImageData(imageData) {
+        return new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+    }
+
+    /**
+     * Match a canvas to the frame size
+     */
+    resizeCanvas(canvas, frame) {
+        if (canvas.width !== frame.width || canvas.height !== frame.height) {
+            canvas.width = frame.width;
+            canvas.height = frame.height;
+        }
+    }
+
+    /**
+     * Show the processed frames and feed them to the analyzers, or fall back to the live video
+     */
+    setOutputVisible(visible, analysisSource = this.canvas) {
+        this.canvas.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            this.frameGrabber.setSource(analysisSource, this.region);
+        } else {
+            this.frameGrabber.setSource(null);
+        }
+    }
+}
\ No newline at end of file
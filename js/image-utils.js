@@ -0,0 +1,399 @@
+/**
+ * ImageUtils - Shared pixel and geometry helpers used by the image analyzers
+ */
+class ImageUtils {
+    /**
+     * Convert RGBA image data to a luminance buffer (0-255)
+     */
+    static toGrayscale(imageData) {
+        const data = imageData.data;
+        const gray = new Float32Array(imageData.width * imageData.height);
+
+        for (let pixelIndex = 0, dataIndex = 0; pixelIndex < gray.length; pixelIndex++, dataIndex += 4) {
+            gray[pixelIndex] = data[dataIndex] * 0.299 + data[dataIndex + 1] * 0.587 + data[dataIndex + 2] * 0.114;
+        }
+
+        return gray;
+    }
+
+    /**
+     * Count the luminance and per-channel values of RGBA image data
+     * Returns {luminance, red, green, blue} histograms with 256 bins each, and the pixel count.
+     */
+    static computeHistograms(imageData) {
+        const data = imageData.data;
+        const histograms = {
+            luminance: new Uint32Array(256),
+            red: new Uint32Array(256),
+            green: new Uint32Array(256),
+            blue: new Uint32Array(256),
+            pixelCount: data.length / 4
+        };
+
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+            const red = data[dataIndex];
+            const green = data[dataIndex + 1];
+            const blue = data[dataIndex + 2];
+            histograms.red[red]++;
+            histograms.green[green]++;
+            histograms.blue[blue]++;
+            histograms.luminance[Math.round(red * 0.299 + green * 0.587 + blue * 0.114)]++;
+        }
+
+        return histograms;
+    }
+
+    /**
+     * Apply a 3x3 box blur to a single channel buffer
+     */
+    static boxBlur(values, width, height) {
+        const blurred = new Float32Array(values.length);
+
+        for (let y = 0; y < height; y++) {
+            const top = Math.max(0, y - 1);
+            const bottom = Math.min(height - 1, y + 1);
+
+            for (let x = 0; x < width; x++) {
+                const left = Math.max(0, x - 1);
+                const right = Math.min(width - 1, x + 1);
+                let sum = 0;
+                let count = 0;
+
+                for (let sampleY = top; sampleY <= bottom; sampleY++) {
+                    for (let sampleX = left; sampleX <= right; sampleX++) {
+                        sum += values[sampleY * width + sampleX];
+                        count++;
+                    }
+                }
+
+                blurred[y * width + x] = sum / count;
+            }
+        }
+
+        return blurred;
+    }
+
+    /**
+     * Compute Sobel gradients of a single channel buffer
+     */
+    static computeGradients(values, width, height) {
+        const gradientX = new Float32Array(values.length);
+        const gradientY = new Float32Array(values.length);
+        const magnitude = new Float32Array(values.length);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const index = y * width + x;
+                const topLeft = values[index - width - 1];
+                const top = values[index - width];
+                const topRight = values[index - width + 1];
+                const left = values[index - 1];
+                const right = values[index + 1];
+                const bottomLeft = values[index + width - 1];
+                const bottom = values[index + width];
+                const bottomRight = values[index + width + 1];
+
+                const sobelX = (topRight + 2 * right + bottomRight) - (topLeft + 2 * left + bottomLeft);
+                const sobelY = (bottomLeft + 2 * bottom + bottomRight) - (topLeft + 2 * top + topRight);
+
+                gradientX[index] = sobelX;
+                gradientY[index] = sobelY;
+                magnitude[index] = Math.sqrt(sobelX * sobelX + sobelY * sobelY);
+            }
+        }
+
+        return { gradientX, gradientY, magnitude };
+    }
+
+    /**
+     * Get a percentile (0-1) of a buffer with values in the 0-255 range
+     */
+    static getPercentile(values, fraction) {
+        const histogram = new Uint32Array(256);
+        for (let index = 0; index < values.length; index++) {
+            histogram[Math.max(0, Math.min(255, Math.round(values[index])))]++;
+        }
+
+        const targetCount = values.length * fraction;
+        let cumulative = 0;
+        for (let bin = 0; bin < 256; bin++) {
+            cumulative += histogram[bin];
+            if (cumulative >= targetCount) {
+                return bin;
+            }
+        }
+
+        return 255;
+    }
+
+    /**
+     * Flood fill a 4-connected region of unlabeled pixels accepted by canFill
+     * Sets labels[index] = label for every filled pixel and returns the pixel count.
+     */
+    static floodFill(labels, width, height, startIndex, label, canFill) {
+        if (labels[startIndex] !== 0 || !canFill(startIndex)) {
+            return 0;
+        }
+
+        const stack = [startIndex];
+        labels[startIndex] = label;
+        let count = 0;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            count++;
+
+            const neighbors = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                index >= width ? index - width : -1,
+                index < width * (height - 1) ? index + width : -1
+            ];
+
+            neighbors.forEach(neighbor => {
+                if (neighbor >= 0 && labels[neighbor] === 0 && canFill(neighbor)) {
+                    labels[neighbor] = label;
+                    stack.push(neighbor);
+                }
+            });
+        }
+
+        return count;
+    }
+
+    /**
+     * Convert an image direction to the nearest clock position (12 is up)
+     */
+    static toClockPosition(directionX, directionY) {
+        const angle = Math.atan2(directionX, -directionY);
+        const hour = Math.round((angle / (2 * Math.PI) * 12 + 12) % 12);
+        return hour === 0 ? 12 : hour;
+    }
+
+    /**
+     * Solve a small dense linear system with Gaussian elimination (returns null if singular)
+     */
+    static solveLinearSystem(matrix, vector) {
+        const size = vector.length;
+        const rows = matrix.map((row, rowIndex) => [...row, vector[rowIndex]]);
+
+        for (let column = 0; column < size; column++) {
+            // Partial pivoting for numerical stability
+            let pivotRow = column;
+            for (let row = column + 1; row < size; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivotRow][column])) {
+                    pivotRow = row;
+                }
+            }
+
+            if (Math.abs(rows[pivotRow][column]) < 1e-12) {
+                return null;
+            }
+
+            [rows[column], rows[pivotRow]] = [rows[pivotRow], rows[column]];
+
+            for (let row = column + 1; row < size; row++) {
+                const factor = rows[row][column] / rows[column][column];
+                for (let entry = column; entry <= size; entry++) {
+                    rows[row][entry] -= factor * rows[column][entry];
+                }
+            }
+        }
+
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let sum = rows[row][size];
+            for (let entry = row + 1; entry < size; entry++) {
+                sum -= rows[row][entry] * solution[entry];
+            }
+            solution[row] = sum / rows[row][row];
+        }
+
+        return solution;
+    }
+
+    /**
+     * Least-squares circle fit (Kasa method) through a list of {x, y} points
+     */
+    static fitCircle(points) {
+        if (points.length < 3) {
+            return null;
+        }
+
+        // Minimize sum of (x² + y² + D·x + E·y + F)²
+        let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+        let sumXZ = 0, sumYZ = 0, sumZ = 0;
+
+        points.forEach(point => {
+            const z = point.x * point.x + point.y * point.y;
+            sumX += point.x;
+            sumY += point.y;
+            sumXX += point.x * point.x;
+            sumYY += point.y * point.y;
+            sumXY += point.x * point.y;
+            sumXZ += point.x * z;
+            sumYZ += point.y * z;
+            sumZ += z;
+        });
+
+        const solution = ImageUtils.solveLinearSystem(
+            [
+                [sumXX, sumXY, sumX],
+                [sumXY, sumYY, sumY],
+                [sumX, sumY, points.length]
+            ],
+            [-sumXZ, -sumYZ, -sumZ]
+        );
+
+        if (!solution) {
+            return null;
+        }
+
+        const [coefficientD, coefficientE, coefficientF] = solution;
+        const centerX = -coefficientD / 2;
+        const centerY = -coefficientE / 2;
+        const radiusSquared = centerX * centerX + centerY * centerY - coefficientF;
+
+        if (radiusSquared <= 0) {
+            return null;
+        }
+
+        return { x: centerX, y: centerY, radius: Math.sqrt(radiusSquared) };
+    }
+
+    /**
+     * Least-squares ellipse fit through a list of {x, y} points
+     * Fits the conic Ax² + Bxy + Cy² + Dx + Ey + F = 0 with A + C = 1.
+     * Returns {x, y, semiMajor, semiMinor, angle} (angle of the major axis in radians, 0 to π) or null.
+     */
+    static fitEllipse(points) {
+        if (points.length < 5) {
+            return null;
+        }
+
+        // Normalize coordinates for numerical stability
+        const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        const spread = Math.sqrt(points.reduce((sum, point) =>
+            sum + (point.x - meanX) ** 2 + (point.y - meanY) ** 2, 0) / points.length) || 1;
+
+        // With A = 1 - C each point gives: B·xy + C·(y² - x²) + D·x + E·y + F = -x²
+        const normalMatrix = Array.from({ length: 5 }, () => new Array(5).fill(0));
+        const normalVector = new Array(5).fill(0);
+
+        points.forEach(point => {
+            const x = (point.x - meanX) / spread;
+            const y = (point.y - meanY) / spread;
+            const row = [x * y, y * y - x * x, x, y, 1];
+            const target = -x * x;
+
+            for (let rowIndex = 0; rowIndex < 5; rowIndex++) {
+                normalVector[rowIndex] += row[rowIndex] * target;
+                for (let columnIndex = 0; columnIndex < 5; columnIndex++) {
+                    normalMatrix[rowIndex][columnIndex] += row[rowIndex] * row[columnIndex];
+                }
+            }
+        });
+
+        const solution = ImageUtils.solveLinearSystem(normalMatrix, normalVector);
+        if (!solution) {
+            return null;
+        }
+
+        const [coefficientB, coefficientC, coefficientD, coefficientE, coefficientF] = solution;
+        const coefficientA = 1 - coefficientC;
+        const denominator = 4 * coefficientA * coefficientC - coefficientB * coefficientB;
+
+        // Only ellipses have a positive discriminant here
+        if (denominator <= 0) {
+            return null;
+        }
+
+        const centerX = (coefficientB * coefficientE - 2 * coefficientC * coefficientD) / denominator;
+        const centerY = (coefficientB * coefficientD - 2 * coefficientA * coefficientE) / denominator;
+        const centerValue = coefficientA * centerX * centerX + coefficientB * centerX * centerY +
+            coefficientC * centerY * centerY + coefficientD * centerX + coefficientE * centerY + coefficientF;
+
+        // Eigenvalues of the quadratic part; the smaller one belongs to the major axis
+        const average = (coefficientA + coefficientC) / 2;
+        const deviation = Math.hypot((coefficientA - coefficientC) / 2, coefficientB / 2);
+        const majorSquared = -centerValue / (average - deviation);
+        const minorSquared = -centerValue / (average + deviation);
+
+        if (!(majorSquared > 0) || !(minorSquared > 0)) {
+            return null;
+        }
+
+        const angle = 0.5 * Math.atan2(coefficientB, coefficientA - coefficientC) + Math.PI / 2;
+
+        return {
+            x: meanX + centerX * spread,
+            y: meanY + centerY * spread,
+            semiMajor: Math.sqrt(majorSquared) * spread,
+            semiMinor: Math.sqrt(minorSquared) * spread,
+            angle: ((angle % Math.PI) + Math.PI) % Math.PI
+        };
+    }
+
+    /**
+     * Create a monotone cubic curve through {x, y} control points sorted by x (Fritsch-Carlson)
+     * Returns a function of x; outside the control points the curve is flat.
+     */
+    static createMonotoneCurve(points) {
+        const count = points.length;
+        if (count < 2) {
+            return () => count === 1 ? points[0].y : 0;
+        }
+
+        const slopes = [];
+        for (let index = 0; index < count - 1; index++) {
+            const deltaX = points[index + 1].x - points[index].x;
+            slopes.push(deltaX > 0 ? (points[index + 1].y - points[index].y) / deltaX : 0);
+        }
+
+        // Tangents: average of neighboring slopes, zero at local extrema
+        const tangents = [slopes[0]];
+        for (let index = 1; index < count - 1; index++) {
+            tangents.push(slopes[index - 1] * slopes[index] <= 0 ? 0 : (slopes[index - 1] + slopes[index]) / 2);
+        }
+        tangents.push(slopes[count - 2]);
+
+        // Limit the tangents so the curve does not overshoot between points
+        for (let index = 0; index < count - 1; index++) {
+            if (slopes[index] === 0) {
+                tangents[index] = 0;
+                tangents[index + 1] = 0;
+                continue;
+            }
+
+            const alpha = tangents[index] / slopes[index];
+            const beta = tangents[index + 1] / slopes[index];
+            const magnitude = Math.hypot(alpha, beta);
+            if (magnitude > 3) {
+                tangents[index] = 3 * alpha / magnitude * slopes[index];
+                tangents[index + 1] = 3 * beta / magnitude * slopes[index];
+            }
+        }
+
+        return x => {
+            if (x <= points[0].x) return points[0].y;
+            if (x >= points[count - 1].x) return points[count - 1].y;
+
+            let index = 0;
+            while (x > points[index + 1].x) {
+                index++;
+            }
+
+            const start = points[index];
+            const end = points[index + 1];
+            const width = end.x - start.x;
+            const t = (x - start.x) / width;
+            const t2 = t * t;
+            const t3 = t2 * t;
+
+            return (2 * t3 - 3 * t2 + 1) * start.y + (t3 - 2 * t2 + t) * width * tangents[index] +
+                (-2 * t3 + 3 * t2) * end.y + (t3 - t2) * width * tangents[index + 1];
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * LaserAnalyzer - Measures a laser collimator dot against the circle it should hit
+ *
+ * Two views are supported:
+ * - 'centerSpot': the camera looks at the primary, the dot should land in the center-spot donut
+ * - 'target': the camera looks at the laser's target face, the return beam should land in its hole
+ */
+class LaserAnalyzer {
+    constructor(circleDetector, telescopeProfile, view) {
+        this.circleDetector = circleDetector;
+        this.telescopeProfile = telescopeProfile;
+        this.view = view;
+        this.maxFrameSize = 400;
+        this.viewLabels = {
+            centerSpot: 'Laser: center spot',
+            target: 'Laser: target face'
+        };
+        this.settings = {
+            minRedness: 40,        // Min red excess (R minus average of G and B) of the laser dot
+            dotLevel: 0.5,         // Dot pixels are above this fraction of the peak red excess
+            saturationLevel: 250,  // Overexposed dot cores are white, they count as dot pixels
+            minRadius: 0.02,       // Circle search range, as fractions of the frame's shorter side
+            maxRadius: 0.35
+        };
+    }
+
+    /**
+     * Find the laser dot and the circle, and measure their offset
+     */
+    analyze(context) {
+        const { frame, frameGrabber, sourceScale } = context;
+        const shorterSide = Math.min(frame.width, frame.height);
+        const tolerance = this.telescopeProfile.settings.laserTolerance;
+
+        const dot = this.findDot(frame.imageData);
+
+        // The dot would add strong edges of its own, so look for circles without the red channel
+        const circle = this.circleDetector.detect(this.removeRedChannel(frame.imageData), {
+            minRadius: shorterSide * this.settings.minRadius,
+            maxRadius: shorterSide * this.settings.maxRadius
+        });
+
+        const result = { view: this.view, tolerance, dot: null, circle: null };
+
+        if (dot) {
+            result.dot = frameGrabber.toContentPoint(frame, dot.x, dot.y);
+        }
+
+        if (circle) {
+            const center = frameGrabber.toContentPoint(frame, circle.x, circle.y);
+            result.circle = { x: center.x, y: center.y, radius: circle.radius / frame.scale };
+        }
+
+        if (result.dot && result.circle) {
+            const offset = Math.hypot(result.dot.x - result.circle.x, result.dot.y - result.circle.y);
+            result.offsetPixels = offset * sourceScale;                       // In camera pixels
+            result.offsetPercent = offset / result.circle.radius * 100;       // In percent of the circle radius
+            result.passed = result.offsetPercent <= tolerance;
+        } else if (!result.dot && result.circle && this.view === 'target') {
+            // A well collimated return beam disappears into the target hole, but so does a laser
+            // that is off or a dot that was missed, so this is not reported as a pass
+            result.noReturnBeam = true;
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the laser dot as the centroid of the strongest red blob (in frame pixels)
+     */
+    findDot(imageData) {
+        const { width, height, data } = imageData;
+        const redness = new Float32Array(width * height);
+        const saturated = new Uint8Array(width * height);
+
+        for (let pixelIndex = 0, dataIndex = 0; pixelIndex < redness.length; pixelIndex++, dataIndex += 4) {
+            const red = data[dataIndex];
+            const green = data[dataIndex + 1];
+            const blue = data[dataIndex + 2];
+            redness[pixelIndex] = Math.max(0, red - (green + blue) / 2);
+            saturated[pixelIndex] = red >= this.settings.saturationLevel && green >= this.settings.saturationLevel ? 1 : 0;
+        }
+
+        const smoothed = ImageUtils.boxBlur(redness, width, height);
+        let peakIndex = 0;
+        for (let index = 1; index < smoothed.length; index++) {
+            if (smoothed[index] > smoothed[peakIndex]) {
+                peakIndex = index;
+            }
+        }
+
+        const peak = smoothed[peakIndex];
+        if (peak < this.settings.minRedness) {
+            return null;
+        }
+
+        const threshold = peak * this.settings.dotLevel;
+        const labels = new Uint8Array(width * height);
+        ImageUtils.floodFill(labels, width, height, peakIndex, 1, index =>
+            smoothed[index] >= threshold || saturated[index] === 1
+        );
+
+        let sumWeight = 0, sumX = 0, sumY = 0;
+        for (let index = 0; index < labels.length; index++) {
+            if (!labels[index]) continue;
+
+            const weight = saturated[index] ? peak - threshold : Math.max(0, smoothed[index] - threshold);
+            const x = index % width;
+            sumWeight += weight;
+            sumX += weight * x;
+            sumY += weight * (index - x) / width;
+        }
+
+        return sumWeight > 0 ? { x: sumX / sumWeight, y: sumY / sumWeight } : null;
+    }
+
+    /**
+     * Get a copy of image data with the red channel replaced by green
+     */
+    removeRedChannel(imageData) {
+        const data = new Uint8ClampedArray(imageData.data);
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+            data[dataIndex] = data[dataIndex + 1];
+        }
+        return { width: imageData.width, height: imageData.height, data };
+    }
+
+    /**
+     * Draw the circle, the dot and the offset between them
+     */
+    render(result, overlayRenderer, group) {
+        const color = result.passed === undefined ? '#8b949e' : (result.passed ? '#3fb950' : '#f85149');
+
+        if (result.circle) {
+            overlayRenderer.addCircle(result.circle.x, result.circle.y, result.circle.radius, {
+                color,
+                lineWidth: 2,
+                group
+            });
+            overlayRenderer.addPoint(result.circle.x, result.circle.y, { color, radius: 2, group });
+        }
+
+        if (result.dot) {
+            overlayRenderer.addCircle(result.dot.x, result.dot.y, 6, { color: '#ffffff', lineWidth: 1, group });
+        }
+
+        if (result.dot && result.circle) {
+            overlayRenderer.addLine(result.circle.x, result.circle.y, result.dot.x, result.dot.y, {
+                color,
+                lineWidth: 1,
+                dashed: true,
+                group
+            });
+        }
+    }
+
+    /**
+     * Get the readout lines for the HUD
+     */
+    getHudLines(result) {
+        const lines = [{ text: this.viewLabels[this.view], color: '#e6edf3' }];
+        const circleName = this.view === 'target' ? 'target hole' : 'center spot';
+
+        if (!result.circle) {
+            lines.push({ text: `No ${circleName} found`, color: '#8b949e' });
+        }
+
+        if (result.noReturnBeam) {
+            lines.push({ text: 'No return beam visible: in the hole, or is the laser off?', color: '#ff9900' });
+        } else if (!result.dot) {
+            lines.push({ text: 'No laser dot found', color: '#8b949e' });
+        }
+
+        if (result.dot && result.circle) {
+            lines.push({
+                text: `Dot offset ${result.offsetPixels.toFixed(1)} px ${result.offsetPercent.toFixed(0)}% of ${circleName}`,
+                color: '#e6edf3'
+            });
+        }
+
+        if (result.passed !== undefined) {
+            lines.push({
+                text: result.passed ? `PASS (tolerance ${result.tolerance}%)` : `FAIL (tolerance ${result.tolerance}%)`,
+                color: result.passed ? '#3fb950' : '#f85149'
+            });
+        }
+
+        return lines;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * LineDetector - Finds straight edges (spider vanes, sight-tube crosshairs) in video frames
+ *
+ * Lines are returned in Hough form relative to the frame center: points p on the line
+ * satisfy (p.x - centerX) * cos(angle) + (p.y - centerY) * sin(angle) = rho.
+ */
+class LineDetector {
+    constructor() {
+        this.settings = {
+            angleStep: 0.5,         // Hough angle resolution in degrees
+            angleSpread: 3,         // Votes within this many degrees of the gradient direction
+            minVotes: 0.25,         // Min edge pixels on a line, as a fraction of the frame's shorter side
+            suppressAngle: 4,       // Peaks closer than this (degrees) ...
+            suppressRho: 4,         // ... and this (pixels) are the same line
+            maxLines: 12
+        };
+    }
+
+    /**
+     * Find the strongest lines in an edge map (see CircleDetector.computeEdges)
+     */
+    findLines(edges) {
+        const { width, height, gradientX, gradientY, points } = edges;
+        const angleStep = this.settings.angleStep * Math.PI / 180;
+        const angleCount = Math.round(Math.PI / angleStep);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const maxRho = Math.ceil(Math.hypot(width, height) / 2);
+        const rhoCount = maxRho * 2 + 1;
+        const spread = Math.round(this.settings.angleSpread / this.settings.angleStep);
+
+        const cosines = new Float32Array(angleCount);
+        const sines = new Float32Array(angleCount);
+        for (let angleIndex = 0; angleIndex < angleCount; angleIndex++) {
+            cosines[angleIndex] = Math.cos(angleIndex * angleStep);
+            sines[angleIndex] = Math.sin(angleIndex * angleStep);
+        }
+
+        // Each edge pixel only votes for lines roughly perpendicular to its gradient
+        const accumulator = new Float32Array(angleCount * rhoCount);
+        points.forEach(index => {
+            const x = index % width;
+            const y = (index - x) / width;
+            const gradientAngle = (Math.atan2(gradientY[index], gradientX[index]) + Math.PI) % Math.PI;
+            const baseIndex = Math.round(gradientAngle / angleStep);
+
+            for (let offset = -spread; offset <= spread; offset++) {
+                const angleIndex = ((baseIndex + offset) % angleCount + angleCount) % angleCount;
+                const rho = (x - centerX) * cosines[angleIndex] + (y - centerY) * sines[angleIndex];
+                accumulator[angleIndex * rhoCount + Math.round(rho) + maxRho]++;
+            }
+        });
+
+        return this.findPeaks(accumulator, angleCount, rhoCount, maxRho, angleStep, Math.min(width, height));
+    }
+
+    /**
+     * Find the strongest separate peaks of a Hough accumulator
+     */
+    findPeaks(accumulator, angleCount, rhoCount, maxRho, angleStep, shorterSide) {
+        const minVotes = shorterSide * this.settings.minVotes;
+        const suppressAngle = Math.round(this.settings.suppressAngle / this.settings.angleStep);
+        const suppressRho = this.settings.suppressRho;
+        const values = Float32Array.from(accumulator);
+        const lines = [];
+
+        while (lines.length < this.settings.maxLines) {
+            let bestIndex = -1;
+            let bestValue = minVotes;
+            for (let index = 0; index < values.length; index++) {
+                if (values[index] > bestValue) {
+                    bestValue = values[index];
+                    bestIndex = index;
+                }
+            }
+
+            if (bestIndex < 0) {
+                break;
+            }
+
+            const rhoIndex = bestIndex % rhoCount;
+            const angleIndex = (bestIndex - rhoIndex) / rhoCount;
+            lines.push({ angle: angleIndex * angleStep, rho: rhoIndex - maxRho, votes: bestValue });
+
+            // Suppress the neighborhood; angles wrap around with the sign of rho flipped
+            for (let offset = -suppressAngle; offset <= suppressAngle; offset++) {
+                let neighborAngle = angleIndex + offset;
+                let neighborRho = rhoIndex;
+                if (neighborAngle < 0 || neighborAngle >= angleCount) {
+                    neighborAngle = (neighborAngle + angleCount) % angleCount;
+                    neighborRho = rhoCount - 1 - rhoIndex;
+                }
+
+                for (let rho = Math.max(0, neighborRho - suppressRho); rho <= Math.min(rhoCount - 1, neighborRho + suppressRho); rho++) {
+                    values[neighborAngle * rhoCount + rho] = 0;
+                }
+            }
+        }
+
+        return lines;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * MediaFileSource - Plays a local video file or shows a still image as a camera stream
+ *
+ * The file is drawn to a canvas whose captureStream() stands in for the getUserMedia stream,
+ * so zoom, crosshair, pipeline and analyzers work on it unchanged. A source is any object with
+ * id, label, start() returning a MediaStream, and stop(); see WebcamManager.startSource().
+ */
+class MediaFileSource {
+    constructor(file) {
+        this.file = file;
+        this.id = 'file';
+        this.label = file.name;
+        this.type = file.type.startsWith('video/') ? 'video' : 'image';
+        this.settings = {
+            maxSize: 1920,          // Longest side of the stream; phone photos are scaled down
+            frameRate: 30,          // Stream frame rate for video files
+            stillFrameRate: 5       // Redraw rate that keeps a still image stream alive
+        };
+        this.canvas = document.createElement('canvas');
+        this.canvasContext = this.canvas.getContext('2d');
+        this.objectUrl = null;
+        this.media = null;          // Loaded <img> or playing <video>
+        this.stream = null;
+        this.drawIntervalId = null;
+    }
+
+    /**
+     * Check if a file can be opened as a source
+     */
+    static isSupported(file) {
+        return !!file && (file.type.startsWith('image/') || file.type.startsWith('video/'));
+    }
+
+    /**
+     * Load the file and return a stream of its frames
+     */
+    async start() {
+        if (!this.canvas.captureStream) {
+            throw new Error('This browser cannot stream a canvas');
+        }
+
+        this.objectUrl = URL.createObjectURL(this.file);
+        this.media = this.type === 'video' ? await this.loadVideo() : await this.loadImage();
+
+        const width = this.type === 'video' ? this.media.videoWidth : this.media.naturalWidth;
+        const height = this.type === 'video' ? this.media.videoHeight : this.media.naturalHeight;
+        const scale = Math.min(1, this.settings.maxSize / Math.max(width, height));
+        this.canvas.width = Math.max(1, Math.round(width * scale));
+        this.canvas.height = Math.max(1, Math.round(height * scale));
+
+        this.drawFrame();
+        this.stream = this.canvas.captureStream(this.type === 'video' ? this.settings.frameRate : this.settings.stillFrameRate);
+        this.drawIntervalId = setInterval(() => {
+            this.drawFrame();
+        }, 1000 / (this.type === 'video' ? this.settings.frameRate : this.settings.stillFrameRate));
+
+        return this.stream;
+    }
+
+    /**
+     * Stop streaming and release the file
+     */
+    stop() {
+        clearInterval(this.drawIntervalId);
+        this.drawIntervalId = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.stop();
+            });
+            this.stream = null;
+        }
+        if (this.media && this.type === 'video') {
+            this.media.pause();
+            this.media.removeAttribute('src');
+            this.media.load();
+        }
+        this.media = null;
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+
+    /**
+     * Draw the current image or video frame to the stream canvas
+     */
+    drawFrame() {
+        if (!this.media) return;
+
+        this.canvasContext.drawImage(this.media, 0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Load the file as an image
+     */
+    loadImage() {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Cannot open image ${this.file.name}`));
+            image.src = this.objectUrl;
+        });
+    }
+
+    /**
+     * Load the file as a looping, muted video and start playing it
+     */
+    loadVideo() {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.loop = true;
+            video.playsInline = true;
+            video.onloadeddata = () => {
+                video.play().then(() => resolve(video), reject);
+            };
+            video.onerror = () => reject(new Error(`Cannot play video ${this.file.name}`));
+            video.src = this.objectUrl;
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * MeteringController - Restricts auto exposure metering to circle_1 or a user-drawn rectangle
+ *
+ * The dark sky or tube wall around the focuser would otherwise pull auto exposure towards
+ * overexposure. While auto exposure is on, the metering area is shown as a dashed outline on
+ * the overlay.
+ */
+class MeteringController {
+    constructor(crosshairController, zoomController, overlayRenderer, videoElement, containerElement) {
+        this.crosshairController = crosshairController;
+        this.zoomController = zoomController;
+        this.overlayRenderer = overlayRenderer;
+        this.video = videoElement;
+        this.frameGrabber = new FrameGrabber(videoElement, containerElement); // Raw camera pixels
+        this.roiDrawer = new RectangleDrawer(zoomController, overlayRenderer, containerElement, {
+            group: 'meteringDraft',
+            color: '#58a6ff',
+            minSize: 10,
+            onDraw: (roi) => this.finishDrawing(roi),
+            onChange: () => this.updateControls()
+        });
+        this.storageKey = 'meteringSettings';
+        this.elements = {
+            meteringModeSelect: document.getElementById('meteringModeSelect'),
+            drawRoiBtn: document.getElementById('drawRoiBtn')
+        };
+        this.settings = {
+            mode: 'circle',         // 'frame', 'circle' (inside circle_1) or 'roi'
+            roi: null,              // {x, y, width, height} in content coordinates
+            outlineInterval: 250    // Outline refresh, follows crosshair moves and zoom (ms)
+        };
+        this.isCameraActive = false;
+        this.isAutoExposure = false;
+        this.outlineInterval = null;
+    }
+
+    /**
+     * Initialize metering
+     */
+    initialize() {
+        this.loadSettings();
+        this.roiDrawer.initialize();
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.meteringModeSelect) {
+            this.elements.meteringModeSelect.addEventListener('change', (event) => {
+                this.setMode(event.target.value);
+            });
+        }
+
+        if (this.elements.drawRoiBtn) {
+            this.elements.drawRoiBtn.addEventListener('click', () => {
+                this.setDrawing(!this.roiDrawer.isDrawing);
+            });
+        }
+
+        // The outline only matters while auto exposure meters the area
+        this.video.addEventListener('exposureChanged', (event) => {
+            this.isAutoExposure = !!event.detail.settings.autoExposure;
+            this.updateOutline();
+        });
+
+        document.addEventListener('cameraStreamStarted', () => {
+            this.isCameraActive = true;
+            this.outlineInterval = setInterval(() => {
+                this.updateOutline();
+            }, this.settings.outlineInterval);
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.isCameraActive = false;
+            clearInterval(this.outlineInterval);
+            this.outlineInterval = null;
+            this.setDrawing(false);
+            this.updateOutline();
+        });
+    }
+
+    /**
+     * Select the metering area
+     */
+    setMode(mode) {
+        if (!['frame', 'circle', 'roi'].includes(mode)) return;
+
+        // Without a rectangle, ROI metering starts by drawing one
+        if (mode === 'roi' && !this.settings.roi) {
+            this.setDrawing(true);
+            this.updateControls();
+            return;
+        }
+
+        this.settings.mode = mode;
+        this.saveSettings();
+        this.updateControls();
+        this.updateOutline();
+    }
+
+    /**
+     * Start or cancel drawing the ROI rectangle on the video
+     */
+    setDrawing(drawing) {
+        this.roiDrawer.setDrawing(drawing && this.isCameraActive);
+
+        if (this.roiDrawer.isDrawing) {
+            StatusMessages.dispatch('Drag a rectangle on the video to set the metering area');
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Meter inside the drawn ROI rectangle
+     */
+    finishDrawing(roi) {
+        this.settings.roi = roi;
+        this.setMode('roi');
+    }
+
+    /**
+     * Get the metering area in content coordinates, or null to meter the whole frame
+     * Returns {type: 'circle', x, y, radius} or {type: 'rect', x, y, width, height}. The mode
+     * defaults to the selected one.
+     */
+    getArea(mode = this.settings.mode) {
+        if (mode === 'circle' && this.crosshairController) {
+            const reticle = this.crosshairController.getReticle();
+            return reticle.radius > 0 ? { type: 'circle', x: reticle.x, y: reticle.y, radius: reticle.radius } : null;
+        }
+        if (mode === 'roi' && this.settings.roi) {
+            return { type: 'rect', ...this.settings.roi };
+        }
+        return null;
+    }
+
+    /**
+     * Grab the raw camera pixels around the metering area at native resolution
+     * Returns {imageData, mask, sourceX, sourceY} (mask is 1 for pixels inside the area), or null
+     * when the whole frame should be metered.
+     */
+    grabMeteringFrame() {
+        const area = this.grabAreaFrame({ native: true });
+        if (!area) return null;
+
+        const layout = this.frameGrabber.getCoverLayout();
+        return {
+            imageData: area.frame.imageData,
+            mask: area.mask,
+            sourceX: Math.round((area.frame.originX - layout.offsetX) / layout.scale),
+            sourceY: Math.round((area.frame.originY - layout.offsetY) / layout.scale)
+        };
+    }
+
+    /**
+     * Grab the raw camera pixels around the metering area with a mask of the pixels inside it
+     * options.mode overrides the selected metering mode (e.g. 'circle' for circle_1 only); the
+     * other options are passed on to FrameGrabber.grabFrame() (native or maxSize). Returns
+     * {frame, mask} (mask is 1 for pixels inside the area), or null when the area is the whole frame.
+     */
+    grabAreaFrame(options = {}) {
+        const { mode, ...grabOptions } = options;
+        const area = this.getArea(mode);
+        if (!area) return null;
+
+        const region = area.type === 'circle' ?
+            { x: area.x - area.radius, y: area.y - area.radius, width: area.radius * 2, height: area.radius * 2 } :
+            { x: area.x, y: area.y, width: area.width, height: area.height };
+        const frame = this.frameGrabber.grabFrame({ ...grabOptions, region });
+        if (!frame) return null;
+
+        // Pixels outside the camera image are padding, not scene
+        const layout = this.frameGrabber.getCoverLayout();
+        const imageStart = this.frameGrabber.toFramePoint(frame, layout.offsetX, layout.offsetY);
+        const imageEnd = this.frameGrabber.toFramePoint(frame, layout.offsetX + layout.width, layout.offsetY + layout.height);
+        const center = area.type === 'circle' ? this.frameGrabber.toFramePoint(frame, area.x, area.y) : null;
+        const radius = area.type === 'circle' ? area.radius * frame.scale : 0;
+        const mask = new Uint8Array(frame.width * frame.height);
+
+        for (let y = 0; y < frame.height; y++) {
+            const pointY = y + 0.5;
+            for (let x = 0; x < frame.width; x++) {
+                const pointX = x + 0.5;
+                const inImage = pointX >= imageStart.x && pointY >= imageStart.y && pointX < imageEnd.x && pointY < imageEnd.y;
+                const inArea = !center || Math.hypot(pointX - center.x, pointY - center.y) <= radius;
+                mask[y * frame.width + x] = inImage && inArea ? 1 : 0;
+            }
+        }
+
+        return { frame, mask };
+    }
+
+    /**
+     * Draw the metering area as a dashed outline while auto exposure is on
+     */
+    updateOutline() {
+        if (!this.overlayRenderer) return;
+
+        this.overlayRenderer.removeGroup('metering');
+
+        const area = this.isCameraActive && this.isAutoExposure ? this.getArea() : null;
+        if (!area) return;
+
+        const options = { color: '#58a6ff', lineWidth: 1, opacity: 0.8, dashed: true, group: 'metering' };
+        if (area.type === 'circle') {
+            // Just outside circle_1, so both stay visible
+            this.overlayRenderer.addCircle(area.x, area.y, area.radius + 3 / this.zoomController.scale, options);
+        } else {
+            this.overlayRenderer.addPolygon([
+                { x: area.x, y: area.y },
+                { x: area.x + area.width, y: area.y },
+                { x: area.x + area.width, y: area.y + area.height },
+                { x: area.x, y: area.y + area.height }
+            ], options);
+        }
+    }
+
+    /**
+     * Show the metering state in the controls
+     */
+    updateControls() {
+        if (this.elements.meteringModeSelect) {
+            this.elements.meteringModeSelect.value = this.settings.mode;
+        }
+        if (this.elements.drawRoiBtn) {
+            this.elements.drawRoiBtn.classList.toggle('active', this.roiDrawer.isDrawing);
+            this.elements.drawRoiBtn.disabled = !this.isCameraActive;
+        }
+    }
+
+    /**
+     * Save metering settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                mode: this.settings.mode,
+                roi: this.settings.roi
+            }));
+        } catch (error) {
+            console.warn('Failed to save metering settings:', error);
+        }
+    }
+
+    /**
+     * Load metering settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                if (settings.roi && settings.roi.width > 0 && settings.roi.height > 0) {
+                    this.settings.roi = settings.roi;
+                }
+                if (['frame', 'circle'].includes(settings.mode) || (settings.mode === 'roi' && this.settings.roi)) {
+                    this.settings.mode = settings.mode;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load metering settings:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,422 @@
+/**
+ * NetworkCameraSource - IP camera or Raspberry Pi rig serving MJPEG or JPEG snapshots over HTTP
+ *
+ * Frames are fetched from the configured URL, decoded and drawn to a canvas whose stream is used
+ * like a camera (see WebcamManager.registerSource()). Lost connections are retried with a growing
+ * delay. The received frame rate is shown under the settings, and in the status area once after
+ * connecting and after each reconnect. The camera has to allow cross-origin requests
+ * (Access-Control-Allow-Origin), or the page could not read its pixels.
+ */
+class NetworkCameraSource {
+    constructor() {
+        this.id = 'network';
+        this.label = 'Network camera (MJPEG/snapshot)';
+        this.storageKey = 'networkCamera';
+        this.elements = {
+            cameraSelect: document.getElementById('cameraSelect'),
+            networkCameraPanel: document.getElementById('networkCameraPanel'),
+            networkCameraUrl: document.getElementById('networkCameraUrl'),
+            networkCameraMode: document.getElementById('networkCameraMode'),
+            snapshotInterval: document.getElementById('snapshotInterval'),
+            networkCameraStatus: document.getElementById('networkCameraStatus')
+        };
+        this.settings = {
+            url: '',
+            mode: 'mjpeg',              // 'mjpeg' (multipart stream) or 'snapshot' (one JPEG per request)
+            interval: 500,              // Time between snapshot requests (ms)
+            connectTimeout: 10000,      // Give up starting when no frame arrives in time (ms)
+            minRetryDelay: 1000,        // Reconnect delay, doubled after each failure (ms)
+            maxRetryDelay: 15000,
+            rateInterval: 2000          // Frame rate measuring period (ms)
+        };
+        this.canvas = document.createElement('canvas');
+        this.canvasContext = this.canvas.getContext('2d');
+        this.stream = null;
+        this.isRunning = false;
+        this.session = 0;           // Increased by start() and stop(), so loops of an old connection end
+        this.abortController = null;
+        this.retryDelay = this.settings.minRetryDelay;
+        this.frameCount = 0;
+        this.rateIntervalId = null;
+        this.lastRateTime = 0;
+        this.announceFrameRate = false; // Send the next frame rate to the status area too
+        this.onFirstFrame = null;
+    }
+
+    /**
+     * Initialize network camera controls
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.cameraSelect) {
+            this.elements.cameraSelect.addEventListener('change', () => {
+                this.updateControls();
+            });
+        }
+
+        if (this.elements.networkCameraUrl) {
+            this.elements.networkCameraUrl.addEventListener('change', (event) => {
+                this.updateSettings({ url: event.target.value.trim() });
+            });
+        }
+
+        if (this.elements.networkCameraMode) {
+            this.elements.networkCameraMode.addEventListener('change', (event) => {
+                this.updateSettings({ mode: event.target.value });
+            });
+        }
+
+        if (this.elements.snapshotInterval) {
+            this.elements.snapshotInterval.addEventListener('change', (event) => {
+                this.updateSettings({ interval: parseInt(event.target.value, 10) });
+            });
+        }
+    }
+
+    /**
+     * Connect and return the stream once the first frame has arrived (source interface)
+     */
+    async start() {
+        if (!this.settings.url) {
+            throw new Error('Enter the network camera URL first');
+        }
+        if (!this.canvas.captureStream) {
+            throw new Error('This browser cannot stream a canvas');
+        }
+
+        this.isRunning = true;
+        const session = ++this.session;
+        this.retryDelay = this.settings.minRetryDelay;
+        this.frameCount = 0;
+        this.updateControls();
+
+        const firstFrame = new Promise((resolve, reject) => {
+            this.onFirstFrame = resolve;
+            setTimeout(() => reject(new Error(`No frames from ${this.settings.url}`)), this.settings.connectTimeout);
+        });
+        this.connect(session);
+
+        try {
+            await firstFrame;
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+
+        this.stream = this.canvas.captureStream();
+        this.lastRateTime = performance.now();
+        this.frameCount = 0;
+        this.announceFrameRate = true;
+        this.rateIntervalId = setInterval(() => {
+            this.updateFrameRate();
+        }, this.settings.rateInterval);
+
+        return this.stream;
+    }
+
+    /**
+     * Disconnect (source interface)
+     */
+    stop() {
+        this.isRunning = false;
+        this.session++;
+        this.onFirstFrame = null;
+        clearInterval(this.rateIntervalId);
+        this.rateIntervalId = null;
+
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.stop();
+            });
+            this.stream = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Keep reading frames, reconnecting after a growing delay when the connection fails
+     */
+    async connect(session) {
+        while (this.isCurrent(session)) {
+            this.abortController = new AbortController();
+            this.setStatus(`Connecting to ${this.settings.url}...`);
+
+            try {
+                if (this.settings.mode === 'snapshot') {
+                    await this.readSnapshots(session, this.abortController.signal);
+                } else {
+                    await this.readMjpeg(session, this.abortController.signal);
+                }
+            } catch (error) {
+                if (!this.isCurrent(session)) return;
+                console.warn('Network camera connection failed:', error);
+            }
+
+            if (!this.isCurrent(session)) return;
+
+            const seconds = Math.round(this.retryDelay / 1000);
+            this.setStatus(`Connection lost, reconnecting in ${seconds} s`);
+            if (this.stream) {
+                StatusMessages.dispatch(`Network camera connection lost, reconnecting in ${seconds} s`, 'warning');
+                this.announceFrameRate = true;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+            if (!this.isCurrent(session)) return;
+            this.retryDelay = Math.min(this.settings.maxRetryDelay, this.retryDelay * 2);
+        }
+    }
+
+    /**
+     * Check that a connection loop belongs to the running session
+     */
+    isCurrent(session) {
+        return this.isRunning && session === this.session;
+    }
+
+    /**
+     * Read a multipart MJPEG stream until it ends or fails
+     */
+    async readMjpeg(session, signal) {
+        const response = await fetch(this.settings.url, { signal, cache: 'no-store' });
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        let buffer = new Uint8Array(0);
+
+        while (this.isCurrent(session)) {
+            const { done, value } = await reader.read();
+            if (!this.isCurrent(session)) {
+                reader.cancel().catch(() => {});
+                return;
+            }
+            if (done) {
+                throw new Error('Stream ended');
+            }
+
+            const combined = new Uint8Array(buffer.length + value.length);
+            combined.set(buffer);
+            combined.set(value, buffer.length);
+
+            const { frames, rest } = this.extractFrames(combined);
+            buffer = rest;
+            // Only the newest frame of a burst is worth decoding
+            if (frames.length > 0) {
+                await this.showFrame(session, new Blob([frames[frames.length - 1]], { type: 'image/jpeg' }));
+            }
+        }
+    }
+
+    /**
+     * Split complete JPEG frames off the start of an MJPEG byte buffer
+     * Uses the part's Content-Length when the server sends one, else the JPEG start/end markers.
+     * Returns {frames, rest}, where rest is kept for the next chunk.
+     */
+    extractFrames(buffer) {
+        const frames = [];
+        let position = 0;
+
+        while (true) {
+            const start = this.findMarker(buffer, 0xD8, position);
+            if (start < 0) {
+                // Keep a possible partial marker and part header
+                return { frames, rest: buffer.slice(Math.max(position, buffer.length - 1024)) };
+            }
+
+            const header = new TextDecoder().decode(buffer.subarray(position, start));
+            const lengthMatch = header.match(/content-length:\s*(\d+)/i);
+            let end = -1;
+            if (lengthMatch) {
+                end = start + parseInt(lengthMatch[1], 10);
+                if (end > buffer.length) end = -1;
+            } else {
+                const marker = this.findMarker(buffer, 0xD9, start + 2);
+                end = marker < 0 ? -1 : marker + 2;
+            }
+
+            if (end < 0) {
+                return { frames, rest: buffer.slice(position) };
+            }
+
+            frames.push(buffer.slice(start, end));
+            position = end;
+        }
+    }
+
+    /**
+     * Find a JPEG marker (0xFF followed by the given byte) from an index, or -1
+     */
+    findMarker(buffer, markerByte, fromIndex) {
+        for (let index = fromIndex; index < buffer.length - 1; index++) {
+            if (buffer[index] === 0xFF && buffer[index + 1] === markerByte) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Request one JPEG after another until a request fails
+     */
+    async readSnapshots(session, signal) {
+        while (this.isCurrent(session)) {
+            const requestTime = performance.now();
+            const response = await fetch(this.settings.url, { signal, cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            await this.showFrame(session, await response.blob());
+
+            const remaining = this.settings.interval - (performance.now() - requestTime);
+            if (remaining > 0) {
+                await new Promise(resolve => setTimeout(resolve, remaining));
+            }
+        }
+    }
+
+    /**
+     * Decode a JPEG and draw it to the stream canvas; broken frames are skipped
+     */
+    async showFrame(session, blob) {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(blob);
+        } catch (error) {
+            return;
+        }
+
+        if (!this.isCurrent(session)) {
+            bitmap.close();
+            return;
+        }
+
+        if (this.canvas.width !== bitmap.width || this.canvas.height !== bitmap.height) {
+            this.canvas.width = bitmap.width;
+            this.canvas.height = bitmap.height;
+        }
+        this.canvasContext.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        this.frameCount++;
+        this.retryDelay = this.settings.minRetryDelay;
+        if (this.onFirstFrame) {
+            this.onFirstFrame();
+            this.onFirstFrame = null;
+        }
+    }
+
+    /**
+     * Show the received frame rate under the settings, and in the status area after (re)connecting
+     */
+    updateFrameRate() {
+        const now = performance.now();
+        const frameRate = this.frameCount * 1000 / (now - this.lastRateTime);
+        this.frameCount = 0;
+        this.lastRateTime = now;
+
+        if (frameRate > 0) {
+            const text = `Network camera: ${frameRate.toFixed(1)} fps, ${this.canvas.width}×${this.canvas.height}`;
+            this.setStatus(text);
+            if (this.announceFrameRate) {
+                StatusMessages.dispatch(text);
+                this.announceFrameRate = false;
+            }
+        }
+    }
+
+    /**
+     * Show a line of text under the network camera settings
+     */
+    setStatus(text) {
+        if (this.elements.networkCameraStatus) {
+            this.elements.networkCameraStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Show the settings while the network camera is selected or running
+     */
+    updateControls() {
+        const selected = this.elements.cameraSelect && this.elements.cameraSelect.value === this.id;
+        if (this.elements.networkCameraPanel) {
+            this.elements.networkCameraPanel.style.display = selected || this.isRunning ? '' : 'none';
+        }
+        if (this.elements.networkCameraUrl) {
+            this.elements.networkCameraUrl.value = this.settings.url;
+            this.elements.networkCameraUrl.disabled = this.isRunning;
+        }
+        if (this.elements.networkCameraMode) {
+            this.elements.networkCameraMode.value = this.settings.mode;
+            this.elements.networkCameraMode.disabled = this.isRunning;
+        }
+        if (this.elements.snapshotInterval) {
+            this.elements.snapshotInterval.value = this.settings.interval;
+            this.elements.snapshotInterval.disabled = this.isRunning || this.settings.mode !== 'snapshot';
+        }
+        if (!this.isRunning) {
+            this.setStatus(this.settings.url ? '' : 'Enter the MJPEG stream or snapshot URL');
+        }
+    }
+
+    /**
+     * Update network camera settings and save them
+     */
+    updateSettings(newSettings) {
+        const merged = { ...this.settings, ...newSettings };
+        this.settings = {
+            ...merged,
+            mode: merged.mode === 'snapshot' ? 'snapshot' : 'mjpeg',
+            interval: Math.max(50, Math.min(60000, merged.interval || 500))
+        };
+
+        this.saveSettings();
+        this.updateControls();
+    }
+
+    /**
+     * Save network camera settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                url: this.settings.url,
+                mode: this.settings.mode,
+                interval: this.settings.interval
+            }));
+        } catch (error) {
+            console.warn('Failed to save network camera settings:', error);
+        }
+    }
+
+    /**
+     * Load network camera settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.settings.url = typeof settings.url === 'string' ? settings.url : '';
+                this.settings.mode = settings.mode === 'snapshot' ? 'snapshot' : 'mjpeg';
+                this.settings.interval = Math.max(50, Math.min(60000, parseInt(settings.interval, 10) || 500));
+            }
+        } catch (error) {
+            console.warn('Failed to load network camera settings:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -8,17 +8,21 @@ class OverlayRenderer {
         this.video = videoElement;
         this.overlayElements = {
             circles: [],
+            ellipses: [],
             lines: [],
             points: [],
             polygons: []
         };
+        this.hud = null;
         this.isRendering = false;
         this.animationId = null;
         this.settings = {
             showCircles: true,
+            showEllipses: true,
             showLines: true,
             showPoints: true,
-            showPolygons: true
+            showPolygons: true,
+            showHud: true
         };
     }
 
@@ -156,6 +160,11 @@ class OverlayRenderer {
             this.drawCircles();
         }
 
+        // Draw ellipses
+        if (this.settings.showEllipses) {
+            this.drawEllipses();
+        }
+
         // Draw lines
         if (this.settings.showLines) {
             this.drawLines();
@@ -170,6 +179,11 @@ class OverlayRenderer {
         if (this.settings.showPolygons) {
             this.drawPolygons();
         }
+
+        // Draw HUD last so it stays on top
+        if (this.settings.showHud && this.hud) {
+            this.drawHud();
+        }
     }
 
     /**
@@ -184,6 +198,10 @@ class OverlayRenderer {
             this.canvasContext.lineWidth = circle.lineWidth || 2;
             this.canvasContext.globalAlpha = circle.opacity || 1;
 
+            if (circle.dashed) {
+                this.canvasContext.setLineDash([5, 5]);
+            }
+
             if (circle.fill) {
                 this.canvasContext.fillStyle = circle.fillColor || circle.color || '#00ff0030';
                 this.canvasContext.beginPath();
@@ -204,6 +222,30 @@ class OverlayRenderer {
         });
     }
 
+    /**
+     * Draw ellipses
+     */
+    drawEllipses() {
+        this.overlayElements.ellipses.forEach(ellipse => {
+            if (!ellipse.visible) return;
+
+            this.canvasContext.save();
+            this.canvasContext.strokeStyle = ellipse.color || '#00ff00';
+            this.canvasContext.lineWidth = ellipse.lineWidth || 2;
+            this.canvasContext.globalAlpha = ellipse.opacity || 1;
+
+            if (ellipse.dashed) {
+                this.canvasContext.setLineDash([5, 5]);
+            }
+
+            this.canvasContext.beginPath();
+            this.canvasContext.ellipse(ellipse.x, ellipse.y, ellipse.radiusX, ellipse.radiusY, ellipse.rotation, 0, 2 * Math.PI);
+            this.canvasContext.stroke();
+
+            this.canvasContext.restore();
+        });
+    }
+
     /**
      * Draw lines
      */
@@ -269,6 +311,10 @@ class OverlayRenderer {
             this.canvasContext.lineWidth = polygon.lineWidth || 2;
             this.canvasContext.globalAlpha = polygon.opacity || 1;
 
+            if (polygon.dashed) {
+                this.canvasContext.setLineDash([5, 5]);
+            }
+
             this.canvasContext.beginPath();
             this.canvasContext.moveTo(polygon.points[0].x, polygon.points[0].y);
             
@@ -288,6 +334,95 @@ class OverlayRenderer {
         });
     }
 
+    /**
+     * Draw the HUD panel in screen space
+     */
+    drawHud() {
+        const lineHeight = 16;
+        const padding = 8;
+        const lines = this.hud.lines;
+        const plot = this.hud.plot;
+
+        this.canvasContext.save();
+        this.applyScreenTransform();
+        this.canvasContext.font = '12px monospace';
+        this.canvasContext.textBaseline = 'top';
+
+        const textWidth = Math.max(0, ...lines.map(line => this.canvasContext.measureText(line.text).width));
+        const textHeight = lines.length * lineHeight;
+        const plotHeight = plot ? plot.height + padding : 0;
+        const width = Math.max(textWidth, plot ? plot.width : 0) + padding * 2;
+        const height = textHeight + plotHeight + padding * 2 - 4;
+
+        this.canvasContext.fillStyle = 'rgba(13, 17, 23, 0.75)';
+        this.canvasContext.fillRect(this.hud.x, this.hud.y, width, height);
+
+        lines.forEach((line, lineIndex) => {
+            this.canvasContext.fillStyle = line.color || '#ffffff';
+            this.canvasContext.fillText(line.text, this.hud.x + padding, this.hud.y + padding + lineIndex * lineHeight);
+        });
+
+        if (plot) {
+            this.drawHudPlot(plot, this.hud.x + padding, this.hud.y + padding + textHeight);
+        }
+
+        this.canvasContext.restore();
+    }
+
+    /**
+     * Draw a small line plot of values (0-1) inside the HUD
+     */
+    drawHudPlot(plot, plotX, plotY) {
+        const values = plot.values;
+        const stepX = plot.width / Math.max(1, values.length - 1);
+        const toY = value => plotY + plot.height - Math.max(0, Math.min(1, value)) * plot.height;
+
+        this.canvasContext.strokeStyle = 'rgba(139, 148, 158, 0.5)';
+        this.canvasContext.lineWidth = 1;
+        this.canvasContext.strokeRect(plotX, plotY, plot.width, plot.height);
+
+        (plot.markers || []).forEach(marker => {
+            this.canvasContext.strokeStyle = marker.color || '#8b949e';
+            this.canvasContext.beginPath();
+            this.canvasContext.moveTo(plotX + marker.index * stepX, plotY);
+            this.canvasContext.lineTo(plotX + marker.index * stepX, plotY + plot.height);
+            this.canvasContext.stroke();
+        });
+
+        this.canvasContext.strokeStyle = plot.color || '#ffffff';
+        this.canvasContext.lineWidth = 1.5;
+        this.canvasContext.beginPath();
+        values.forEach((value, valueIndex) => {
+            if (valueIndex === 0) {
+                this.canvasContext.moveTo(plotX, toY(value));
+            } else {
+                this.canvasContext.lineTo(plotX + valueIndex * stepX, toY(value));
+            }
+        });
+        this.canvasContext.stroke();
+    }
+
+    /**
+     * Undo the CSS zoom transform of the canvas so drawing happens in container pixels
+     */
+    applyScreenTransform() {
+        const transform = getComputedStyle(this.canvas).transform;
+        if (!transform || transform === 'none') {
+            return;
+        }
+
+        // The zoom scales around the canvas center, then translates
+        const matrix = new DOMMatrix(transform);
+        const originX = this.canvas.width / 2;
+        const originY = this.canvas.height / 2;
+        const inverse = new DOMMatrix()
+            .translate(originX, originY)
+            .multiply(matrix.inverse())
+            .translate(-originX, -originY);
+
+        this.canvasContext.setTransform(inverse);
+    }
+
     /**
      * Draw label text
      */
@@ -351,6 +486,29 @@ class OverlayRenderer {
         return circle.id;
     }
 
+    /**
+     * Add an ellipse overlay (rotation of the radiusX axis in radians)
+     */
+    addEllipse(centerX, centerY, radiusX, radiusY, rotation, options = {}) {
+        const ellipse = {
+            id: this.generateId(),
+            x: centerX,
+            y: centerY,
+            radiusX,
+            radiusY,
+            rotation,
+            color: options.color || '#00ff00',
+            lineWidth: options.lineWidth || 2,
+            opacity: options.opacity || 1,
+            dashed: options.dashed || false,
+            visible: true,
+            ...options
+        };
+
+        this.overlayElements.ellipses.push(ellipse);
+        return ellipse.id;
+    }
+
     /**
      * Add a line overlay
      */
@@ -394,11 +552,53 @@ class OverlayRenderer {
         return point.id;
     }
 
+    /**
+     * Add a closed polygon overlay through a list of {x, y} points
+     */
+    addPolygon(points, options = {}) {
+        const polygon = {
+            id: this.generateId(),
+            points: points.map(point => ({ x: point.x, y: point.y })),
+            color: options.color || '#ff00ff',
+            lineWidth: options.lineWidth || 2,
+            opacity: options.opacity || 1,
+            fill: options.fill || false,
+            fillColor: options.fillColor,
+            visible: true,
+            ...options
+        };
+
+        this.overlayElements.polygons.push(polygon);
+        return polygon.id;
+    }
+
+    /**
+     * Show text lines in a HUD panel that is not affected by zoom
+     * Lines are strings or {text, color} objects. options.plot adds a small line plot:
+     * {values (0-1), width, height, color, markers: [{index, color}]}
+     */
+    setHud(lines, options = {}) {
+        this.hud = {
+            lines: lines.map(line => typeof line === 'string' ? { text: line } : line),
+            plot: options.plot || null,
+            x: options.x || 10,
+            y: options.y || 10
+        };
+    }
+
+    /**
+     * Remove the HUD panel
+     */
+    clearHud() {
+        this.hud = null;
+    }
+
     /**
      * Clear all overlays
      */
     clearAllOverlays() {
         this.overlayElements.circles = [];
+        this.overlayElements.ellipses = [];
         this.overlayElements.lines = [];
         this.overlayElements.points = [];
         this.overlayElements.polygons = [];
@@ -415,6 +615,17 @@ class OverlayRenderer {
         });
     }
 
+    /**
+     * Remove all overlays that were added with the given group option
+     */
+    removeGroup(group) {
+        Object.keys(this.overlayElements).forEach(type => {
+            this.overlayElements[type] = this.overlayElements[type].filter(
+                element => element.group !== group
+            );
+        });
+    }
+
     /**
      * Update overlay settings
      */
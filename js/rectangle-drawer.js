@@ -0,0 +1,136 @@
+/**
+ * RectangleDrawer - Lets the user drag out a rectangle on the video
+ *
+ * Used for the metering ROI and the screen capture crop. While armed, dragging draws a dashed
+ * draft rectangle instead of panning the view, and releasing the mouse hands the rectangle
+ * (content coordinates) to onDraw. Only one drawer is armed at a time: arming one cancels the
+ * others, so their mouse handlers never compete for the same drag.
+ */
+class RectangleDrawer {
+    static armed = null;          // The drawer that currently owns the mouse
+
+    constructor(zoomController, overlayRenderer, containerElement, options = {}) {
+        this.zoomController = zoomController;
+        this.overlayRenderer = overlayRenderer;
+        this.container = containerElement;
+        this.options = {
+            group: 'rectangleDraft',  // Overlay group of the draft rectangle
+            color: '#58a6ff',
+            minSize: 10,              // Smaller drags are ignored (container pixels)
+            onDraw: null,             // Called with the finished rectangle
+            onChange: null,           // Called with the armed state when it changes
+            ...options
+        };
+        this.isDrawing = false;
+        this.drawStart = null;        // First corner of the rectangle being drawn (container coordinates)
+    }
+
+    /**
+     * Initialize the mouse handlers
+     */
+    initialize() {
+        // Capture phase, so drawing the rectangle does not pan the view
+        this.container.addEventListener('mousedown', (event) => {
+            if (this.isDrawing && event.button === 0) {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+                this.drawStart = this.getContainerPoint(event);
+            }
+        }, true);
+
+        document.addEventListener('mousemove', (event) => {
+            if (this.drawStart) {
+                this.drawDraft(this.getRectangle(this.drawStart, this.getContainerPoint(event)));
+            }
+        });
+
+        document.addEventListener('mouseup', (event) => {
+            if (this.drawStart) {
+                this.finishDrawing(this.getContainerPoint(event));
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Arm or disarm drawing; arming cancels any other drawer
+     */
+    setDrawing(drawing) {
+        if (drawing === this.isDrawing) return;
+
+        if (drawing && RectangleDrawer.armed) {
+            RectangleDrawer.armed.setDrawing(false);
+        }
+        RectangleDrawer.armed = drawing ? this : null;
+
+        this.isDrawing = drawing;
+        this.drawStart = null;
+        this.drawDraft(null);
+        this.container.style.cursor = drawing ? 'crosshair' : '';
+
+        if (this.options.onChange) {
+            this.options.onChange(drawing);
+        }
+    }
+
+    /**
+     * Disarm and hand over the drawn rectangle, unless the drag was too small
+     */
+    finishDrawing(endPoint) {
+        const startPoint = this.drawStart;
+        this.setDrawing(false);
+
+        if (Math.abs(endPoint.x - startPoint.x) < this.options.minSize ||
+            Math.abs(endPoint.y - startPoint.y) < this.options.minSize) {
+            return;
+        }
+
+        if (this.options.onDraw) {
+            this.options.onDraw(this.getRectangle(startPoint, endPoint));
+        }
+    }
+
+    /**
+     * Get a rectangle in content coordinates from two corners in container coordinates
+     */
+    getRectangle(startPoint, endPoint) {
+        const start = this.zoomController.containerToContent(startPoint.x, startPoint.y);
+        const end = this.zoomController.containerToContent(endPoint.x, endPoint.y);
+
+        return {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+    }
+
+    /**
+     * Draw the rectangle being dragged as a dashed outline, or remove it
+     */
+    drawDraft(rectangle) {
+        if (!this.overlayRenderer) return;
+
+        this.overlayRenderer.removeGroup(this.options.group);
+        if (!rectangle) return;
+
+        this.overlayRenderer.addPolygon([
+            { x: rectangle.x, y: rectangle.y },
+            { x: rectangle.x + rectangle.width, y: rectangle.y },
+            { x: rectangle.x + rectangle.width, y: rectangle.y + rectangle.height },
+            { x: rectangle.x, y: rectangle.y + rectangle.height }
+        ], { color: this.options.color, lineWidth: 1, opacity: 0.9, dashed: true, group: this.options.group });
+    }
+
+    /**
+     * Get a mouse position in container coordinates
+     */
+    getContainerPoint(event) {
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+}
\ No newline at end of file
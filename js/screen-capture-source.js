@@ -0,0 +1,282 @@
+/**
+ * ScreenCaptureSource - Streams a shared screen or window, optionally cropped to a region
+ *
+ * Lets the reticle and analyzers work on an astro camera feed that is only visible inside the
+ * vendor's capture software. The shared window is drawn to a canvas that holds just the crop
+ * region, and the canvas stream is used like a camera (see WebcamManager.registerSource()).
+ * While the Crop button is active, the crop is dragged out on the video as a dashed rectangle.
+ */
+class ScreenCaptureSource {
+    constructor(zoomController, overlayRenderer, videoElement, containerElement) {
+        this.id = 'screen';
+        this.label = 'Capture screen/window';
+        this.zoomController = zoomController;
+        this.frameGrabber = new FrameGrabber(videoElement, containerElement); // Layout of the shown stream
+        this.cropDrawer = new RectangleDrawer(zoomController, overlayRenderer, containerElement, {
+            group: 'screenCrop',
+            color: '#ffc107',
+            minSize: 10,
+            onDraw: (rectangle) => this.finishDrawing(rectangle),
+            onChange: () => this.updateControls()
+        });
+        this.elements = {
+            screenCapturePanel: document.getElementById('screenCapturePanel'),
+            cropScreenBtn: document.getElementById('cropScreenBtn'),
+            resetCropBtn: document.getElementById('resetCropBtn'),
+            screenCaptureStatus: document.getElementById('screenCaptureStatus')
+        };
+        this.settings = {
+            frameRate: 30
+        };
+        this.displayStream = null;   // Stream from getDisplayMedia
+        this.displayVideo = null;    // Plays the shared window off-screen
+        this.canvas = document.createElement('canvas');
+        this.canvasContext = this.canvas.getContext('2d');
+        this.stream = null;
+        this.crop = null;            // {x, y, width, height} in shared window pixels, null for all of it
+        this.drawIntervalId = null;
+    }
+
+    /**
+     * Initialize screen capture controls
+     */
+    initialize() {
+        this.cropDrawer.initialize();
+        this.setupEventListeners();
+        this.setPanelVisible(false);
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.cropScreenBtn) {
+            this.elements.cropScreenBtn.addEventListener('click', () => {
+                this.setDrawing(!this.cropDrawer.isDrawing);
+            });
+        }
+
+        if (this.elements.resetCropBtn) {
+            this.elements.resetCropBtn.addEventListener('click', () => {
+                this.setCrop(null);
+            });
+        }
+
+        document.addEventListener('cameraStreamStarted', (event) => {
+            this.setPanelVisible(event.detail && event.detail.cameraId === this.id);
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.setDrawing(false);
+            this.setPanelVisible(false);
+        });
+    }
+
+    /**
+     * Ask which screen or window to share and return its stream (source interface)
+     */
+    async start() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+            throw new Error('Screen capture is not supported in this browser');
+        }
+        if (!this.canvas.captureStream) {
+            throw new Error('This browser cannot stream a canvas');
+        }
+
+        this.displayStream = await navigator.mediaDevices.getDisplayMedia({
+            video: { frameRate: this.settings.frameRate },
+            audio: false
+        });
+
+        // Sharing stopped from the browser's own controls
+        this.displayStream.getVideoTracks()[0].addEventListener('ended', () => {
+            document.dispatchEvent(new CustomEvent('sourceEnded', {
+                detail: { sourceId: this.id, message: 'Screen sharing ended' }
+            }));
+        });
+
+        this.displayVideo = document.createElement('video');
+        this.displayVideo.muted = true;
+        this.displayVideo.playsInline = true;
+        this.displayVideo.srcObject = this.displayStream;
+        await this.displayVideo.play();
+
+        this.crop = null;
+        this.resizeCanvas();
+        this.drawFrame();
+        this.stream = this.canvas.captureStream(this.settings.frameRate);
+        this.drawIntervalId = setInterval(() => {
+            this.drawFrame();
+        }, 1000 / this.settings.frameRate);
+
+        this.updateStatus();
+        return this.stream;
+    }
+
+    /**
+     * Stop sharing (source interface)
+     */
+    stop() {
+        clearInterval(this.drawIntervalId);
+        this.drawIntervalId = null;
+
+        [this.stream, this.displayStream].forEach(stream => {
+            if (stream) {
+                stream.getTracks().forEach(track => {
+                    track.stop();
+                });
+            }
+        });
+        this.stream = null;
+        this.displayStream = null;
+
+        if (this.displayVideo) {
+            this.displayVideo.srcObject = null;
+            this.displayVideo = null;
+        }
+    }
+
+    /**
+     * Get the shared window size
+     */
+    getDisplaySize() {
+        return this.displayVideo ?
+            { width: this.displayVideo.videoWidth, height: this.displayVideo.videoHeight } :
+            { width: 0, height: 0 };
+    }
+
+    /**
+     * Get the shared region: the crop, or the whole window
+     */
+    getRegion() {
+        const size = this.getDisplaySize();
+        return this.crop || { x: 0, y: 0, width: size.width, height: size.height };
+    }
+
+    /**
+     * Match the stream canvas to the shared region
+     */
+    resizeCanvas() {
+        const region = this.getRegion();
+        const width = Math.max(1, Math.round(region.width));
+        const height = Math.max(1, Math.round(region.height));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    /**
+     * Copy the shared region to the stream canvas
+     */
+    drawFrame() {
+        if (!this.displayVideo || this.displayVideo.readyState < 2) return;
+
+        // Without a crop, follow the window when it is resized
+        if (!this.crop) {
+            this.resizeCanvas();
+        }
+
+        const region = this.getRegion();
+        this.canvasContext.drawImage(
+            this.displayVideo,
+            region.x, region.y, region.width, region.height,
+            0, 0, this.canvas.width, this.canvas.height
+        );
+    }
+
+    /**
+     * Start or cancel drawing the crop rectangle on the video
+     */
+    setDrawing(drawing) {
+        this.cropDrawer.setDrawing(drawing && !!this.displayVideo);
+
+        if (this.cropDrawer.isDrawing) {
+            StatusMessages.dispatch('Drag a rectangle around the camera image to crop to it');
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Show the drawing state on the Crop button
+     */
+    updateControls() {
+        if (this.elements.cropScreenBtn) {
+            this.elements.cropScreenBtn.classList.toggle('active', this.cropDrawer.isDrawing);
+        }
+    }
+
+    /**
+     * Crop to the drawn rectangle (content coordinates)
+     */
+    finishDrawing(rectangle) {
+        const start = this.toDisplayPoint({ x: rectangle.x, y: rectangle.y });
+        const end = this.toDisplayPoint({ x: rectangle.x + rectangle.width, y: rectangle.y + rectangle.height });
+        const size = this.getDisplaySize();
+        const left = Math.max(0, Math.min(start.x, end.x));
+        const top = Math.max(0, Math.min(start.y, end.y));
+        const right = Math.min(size.width, Math.max(start.x, end.x));
+        const bottom = Math.min(size.height, Math.max(start.y, end.y));
+
+        if (right - left >= 1 && bottom - top >= 1) {
+            this.setCrop({
+                x: Math.round(left),
+                y: Math.round(top),
+                width: Math.round(right - left),
+                height: Math.round(bottom - top)
+            });
+        }
+    }
+
+    /**
+     * Crop the stream to a region of the shared window, or show all of it
+     */
+    setCrop(crop) {
+        this.crop = crop;
+        this.resizeCanvas();
+        this.drawFrame();
+
+        // The view now shows a different region, so start from the whole view again
+        this.zoomController.resetZoom();
+        this.updateStatus();
+    }
+
+    /**
+     * Convert a content point to shared window pixels
+     */
+    toDisplayPoint(content) {
+        const layout = this.frameGrabber.getCoverLayout();
+        const region = this.getRegion();
+
+        return {
+            x: region.x + (content.x - layout.offsetX) / layout.scale * region.width / this.canvas.width,
+            y: region.y + (content.y - layout.offsetY) / layout.scale * region.height / this.canvas.height
+        };
+    }
+
+    /**
+     * Show the shared region
+     */
+    updateStatus() {
+        if (!this.elements.screenCaptureStatus) return;
+
+        const size = this.getDisplaySize();
+        this.elements.screenCaptureStatus.textContent = this.crop ?
+            `Cropped to ${this.crop.width}×${this.crop.height} at ${this.crop.x}, ${this.crop.y}` :
+            `Whole window, ${size.width}×${size.height}`;
+        if (this.elements.resetCropBtn) {
+            this.elements.resetCropBtn.disabled = !this.crop;
+        }
+    }
+
+    /**
+     * Show the crop controls only while sharing
+     */
+    setPanelVisible(visible) {
+        if (this.elements.screenCapturePanel) {
+            this.elements.screenCapturePanel.style.display = visible ? '' : 'none';
+        }
+    }
+}
\ No newline at end of file
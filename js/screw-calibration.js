@@ -0,0 +1,162 @@
+/**
+ * ScrewCalibration - Guided flow that measures how each collimation screw moves the image
+ *
+ * For every screw of a group the user makes a quarter turn clockwise; the movement of the
+ * tracked ring center (in circle_1 radius units) becomes that screw's response. The circle_1
+ * radius is saved with the responses, so resizing circle_1 later does not rescale them.
+ */
+class ScrewCalibration {
+    constructor(telescopeProfile) {
+        this.telescopeProfile = telescopeProfile;
+
+        // Ring tracked while calibrating each screw group
+        this.trackedRings = {
+            primary: 'spiderHub',
+            secondary: 'primaryReflection'
+        };
+        this.trackedRingNames = {
+            spiderHub: 'spider hub',
+            primaryReflection: 'primary reflection'
+        };
+        this.settings = {
+            sampleCount: 10,       // Analysis frames averaged per measurement
+            minResponse: 0.002     // Smallest accepted movement per quarter turn (fraction of circle_1 radius)
+        };
+        this.state = null;
+    }
+
+    /**
+     * Check if a calibration is in progress
+     */
+    isActive() {
+        return this.state !== null;
+    }
+
+    /**
+     * Start calibrating a screw group ('primary' or 'secondary')
+     */
+    start(group) {
+        this.state = {
+            group,
+            screws: this.telescopeProfile.getScrews(group),
+            screwIndex: -1,        // -1 while recording the start position
+            position: null,
+            radius: null,          // circle_1 radius the responses are measured in
+            responses: [],
+            samples: [],
+            measuring: false
+        };
+    }
+
+    /**
+     * Cancel the calibration in progress
+     */
+    cancel() {
+        this.state = null;
+    }
+
+    /**
+     * Record the current position (start position, or position after turning the current screw)
+     */
+    next() {
+        if (!this.state || this.state.measuring) return;
+
+        this.state.samples = [];
+        this.state.measuring = true;
+    }
+
+    /**
+     * Feed a concentricity result; returns a step result when a measurement completes
+     */
+    addSample(result) {
+        if (!this.state || !this.state.measuring) return null;
+
+        const ring = result.rings.find(candidate => candidate.id === this.trackedRings[this.state.group]);
+        if (!ring || !ring.found) return null;
+
+        // Positions are relative to the circle_1 center so they do not depend on panning
+        this.state.samples.push({
+            x: ring.x - result.reticle.x,
+            y: ring.y - result.reticle.y
+        });
+        if (this.state.radius === null) {
+            this.state.radius = result.reticle.radius;
+        }
+
+        if (this.state.samples.length < this.settings.sampleCount) return null;
+
+        this.state.measuring = false;
+        return this.completeMeasurement(this.getMedianPosition(this.state.samples));
+    }
+
+    /**
+     * Apply a finished measurement to the calibration state
+     */
+    completeMeasurement(position) {
+        const state = this.state;
+
+        if (state.screwIndex >= 0) {
+            const screw = state.screws[state.screwIndex];
+            const response = {
+                x: (position.x - state.position.x) / state.radius,
+                y: (position.y - state.position.y) / state.radius
+            };
+
+            // Measure the next turn of the same screw from here, not from before this one
+            if (Math.hypot(response.x, response.y) < this.settings.minResponse) {
+                state.position = position;
+                return { type: 'retry', screw };
+            }
+
+            state.responses.push(response);
+        }
+
+        state.position = position;
+        state.screwIndex++;
+
+        if (state.screwIndex < state.screws.length) {
+            return { type: 'step', screw: state.screws[state.screwIndex] };
+        }
+
+        this.telescopeProfile.setCalibration(state.group, state.responses, state.radius);
+        this.state = null;
+        return { type: 'done' };
+    }
+
+    /**
+     * Get the per-axis median of a list of positions
+     */
+    getMedianPosition(samples) {
+        const median = values => {
+            const sorted = [...values].sort((first, second) => first - second);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+
+        return {
+            x: median(samples.map(sample => sample.x)),
+            y: median(samples.map(sample => sample.y))
+        };
+    }
+
+    /**
+     * Get the instruction for the current step
+     */
+    getInstruction() {
+        if (!this.state) return '';
+
+        const groupName = this.state.group === 'primary' ? 'primary' : 'secondary';
+
+        if (this.state.measuring) {
+            return 'Measuring, keep the telescope still...';
+        }
+
+        if (this.state.screwIndex < 0) {
+            const ringName = this.trackedRingNames[this.trackedRings[this.state.group]];
+            return `Make sure the ${ringName} is detected, then press Next to record its position`;
+        }
+
+        const screw = this.state.screws[this.state.screwIndex];
+        return `Turn ${groupName} screw ${screw.name} (${screw.clock} o'clock) a quarter turn clockwise, then press Next`;
+    }
+}
\ No newline at end of file
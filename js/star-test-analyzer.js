@@ -0,0 +1,200 @@
+/**
+ * StarTestAnalyzer - Measures the secondary shadow offset in a defocused star (donut)
+ */
+class StarTestAnalyzer {
+    constructor() {
+        this.maxFrameSize = 400; // Analysis resolution (longest side); zooming in samples the star finer
+        this.settings = {
+            thresholdLevel: 0.3,   // Donut threshold between background (0) and peak brightness (1)
+            minContrast: 30,       // Min peak brightness above background for a star to be found
+            minRadius: 4,          // Min donut radius in frame pixels
+            minEdgePoints: 8       // Min boundary points for a circle fit
+        };
+        this.labels = {
+            star: 1,
+            outside: 2,
+            shadow: 3
+        };
+    }
+
+    /**
+     * Find the donut and its shadow, and measure the shadow offset
+     */
+    analyze(context) {
+        const { frame, frameGrabber, sourceScale } = context;
+        const donut = this.findDonut(frame);
+
+        if (!donut) {
+            return { found: false };
+        }
+
+        const toContentCircle = circle => {
+            const center = frameGrabber.toContentPoint(frame, circle.x, circle.y);
+            return { x: center.x, y: center.y, radius: circle.radius / frame.scale };
+        };
+
+        const outer = toContentCircle(donut.outer);
+        const inner = donut.inner ? toContentCircle(donut.inner) : null;
+        const result = { found: true, outer, inner, sourceScale };
+
+        if (inner) {
+            const offsetX = inner.x - outer.x;
+            const offsetY = inner.y - outer.y;
+            const offset = Math.hypot(offsetX, offsetY);
+
+            result.offsetX = offsetX;
+            result.offsetY = offsetY;
+            result.offsetPixels = offset * sourceScale;           // In camera pixels
+            result.offsetPercent = offset / outer.radius * 100;   // In percent of the donut radius
+            result.clock = ImageUtils.toClockPosition(offsetX, offsetY);
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the brightest blob and fit circles to its outer edge and its largest hole
+     */
+    findDonut(frame) {
+        const { width, height } = frame;
+        const gray = ImageUtils.boxBlur(ImageUtils.toGrayscale(frame.imageData), width, height);
+
+        let peakIndex = 0;
+        for (let index = 1; index < gray.length; index++) {
+            if (gray[index] > gray[peakIndex]) {
+                peakIndex = index;
+            }
+        }
+
+        const background = ImageUtils.getPercentile(gray, 0.5);
+        if (gray[peakIndex] - background < this.settings.minContrast) {
+            return null;
+        }
+
+        const threshold = background + (gray[peakIndex] - background) * this.settings.thresholdLevel;
+        const labels = new Uint8Array(width * height);
+        ImageUtils.floodFill(labels, width, height, peakIndex, this.labels.star, index => gray[index] >= threshold);
+
+        // Everything reachable from the frame border is outside the donut; what is left is a hole
+        const notStar = index => labels[index] !== this.labels.star;
+        for (let x = 0; x < width; x++) {
+            ImageUtils.floodFill(labels, width, height, x, this.labels.outside, notStar);
+            ImageUtils.floodFill(labels, width, height, (height - 1) * width + x, this.labels.outside, notStar);
+        }
+        for (let y = 0; y < height; y++) {
+            ImageUtils.floodFill(labels, width, height, y * width, this.labels.outside, notStar);
+            ImageUtils.floodFill(labels, width, height, y * width + width - 1, this.labels.outside, notStar);
+        }
+
+        this.keepLargestHole(labels, width, height);
+
+        const outer = ImageUtils.fitCircle(this.getBoundaryPoints(gray, labels, width, height, this.labels.outside, threshold));
+        if (!outer || outer.radius < this.settings.minRadius) {
+            return null;
+        }
+
+        const shadowPoints = this.getBoundaryPoints(gray, labels, width, height, this.labels.shadow, threshold);
+        const inner = shadowPoints.length >= this.settings.minEdgePoints ? ImageUtils.fitCircle(shadowPoints) : null;
+
+        return { outer, inner: inner && inner.radius < outer.radius ? inner : null };
+    }
+
+    /**
+     * Label the largest hole of the donut as the shadow
+     */
+    keepLargestHole(labels, width, height) {
+        const visited = new Uint8Array(labels.length);
+        const isHole = index => labels[index] === 0;
+        let largestStart = -1;
+        let largestCount = 0;
+
+        for (let index = 0; index < labels.length; index++) {
+            const count = isHole(index) ? ImageUtils.floodFill(visited, width, height, index, 1, isHole) : 0;
+            if (count > largestCount) {
+                largestCount = count;
+                largestStart = index;
+            }
+        }
+
+        if (largestStart >= 0) {
+            ImageUtils.floodFill(labels, width, height, largestStart, this.labels.shadow, () => true);
+        }
+    }
+
+    /**
+     * Get sub-pixel points where the donut crosses the threshold toward pixels with a given label
+     */
+    getBoundaryPoints(gray, labels, width, height, neighborLabel, threshold) {
+        const points = [];
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const index = y * width + x;
+                if (labels[index] !== this.labels.star) continue;
+
+                [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([stepX, stepY]) => {
+                    const neighbor = index + stepY * width + stepX;
+                    if (labels[neighbor] !== neighborLabel) return;
+
+                    // Interpolate where the brightness crosses the threshold
+                    const drop = gray[index] - gray[neighbor];
+                    const position = drop > 0 ? Math.min(1, (gray[index] - threshold) / drop) : 0.5;
+                    points.push({ x: x + stepX * position, y: y + stepY * position });
+                });
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Draw the fitted donut and shadow circles
+     */
+    render(result, overlayRenderer, group) {
+        if (!result.found) return;
+
+        overlayRenderer.addCircle(result.outer.x, result.outer.y, result.outer.radius, {
+            color: '#3fb950',
+            lineWidth: 1,
+            group
+        });
+        overlayRenderer.addPoint(result.outer.x, result.outer.y, { color: '#3fb950', radius: 2, group });
+
+        if (result.inner) {
+            overlayRenderer.addCircle(result.inner.x, result.inner.y, result.inner.radius, {
+                color: '#ff9900',
+                lineWidth: 1,
+                group
+            });
+            overlayRenderer.addPoint(result.inner.x, result.inner.y, { color: '#ff9900', radius: 2, group });
+        }
+    }
+
+    /**
+     * Get the readout lines for the HUD
+     */
+    getHudLines(result) {
+        const lines = [{ text: 'Star test', color: '#e6edf3' }];
+
+        if (!result.found) {
+            lines.push({ text: 'No star found', color: '#8b949e' });
+            return lines;
+        }
+
+        lines.push({ text: `Donut   r ${(result.outer.radius * result.sourceScale).toFixed(1)} px`, color: '#3fb950' });
+
+        if (!result.inner) {
+            lines.push({ text: 'No shadow, defocus more', color: '#8b949e' });
+            return lines;
+        }
+
+        lines.push({ text: `Shadow  r ${(result.inner.radius * result.sourceScale).toFixed(1)} px`, color: '#ff9900' });
+        lines.push({
+            text: `Offset  ${result.offsetPixels.toFixed(1)} px ${result.offsetPercent.toFixed(1)}% ` +
+                `at ${result.clock} o'clock`,
+            color: '#e6edf3'
+        });
+
+        return lines;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * StatusMessages - Sends messages to the status area
+ *
+ * Components dispatch a 'statusMessage' event instead of reaching into the UI; UIController
+ * shows it.
+ */
+class StatusMessages {
+    /**
+     * Dispatch a status message for the UI (type: 'info', 'success', 'warning' or 'danger')
+     */
+    static dispatch(message, type = 'info') {
+        document.dispatchEvent(new CustomEvent('statusMessage', {
+            detail: { message, type }
+        }));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * TelescopeProfile - Stores per-telescope collimation settings (screw layout, tolerance)
+ */
+class TelescopeProfile {
+    constructor() {
+        this.storageKey = 'telescopeProfile';
+        this.screwNames = ['A', 'B', 'C', 'D'];
+        this.defaultSettings = {
+            tolerance: 2,              // Allowed ring offset in percent of circle_1 radius
+            laserTolerance: 25,        // Allowed laser dot offset in percent of the center spot (or target hole) radius
+            screws: {
+                primary: [12, 4, 8],   // Clock positions of the primary mirror screws as seen in the image
+                secondary: [12, 4, 8]  // Clock positions of the secondary mirror screws as seen in the image
+            },
+            clockwiseMoves: 'toward',  // Turning a screw clockwise moves the image 'toward' or 'away' from it
+            calibration: {             // Measured screw responses, see ScrewCalibration
+                primary: null,
+                secondary: null
+            }
+        };
+        this.settings = JSON.parse(JSON.stringify(this.defaultSettings));
+    }
+
+    /**
+     * Initialize the profile
+     */
+    initialize() {
+        this.loadSettings();
+        return true;
+    }
+
+    /**
+     * Get the screws of a group ('primary' or 'secondary') with their image directions
+     * Directions are unit vectors in screen orientation (12 o'clock is up).
+     */
+    getScrews(group) {
+        const clockPositions = this.settings.screws[group] || [];
+
+        return clockPositions.map((clock, screwIndex) => {
+            const angle = clock / 12 * 2 * Math.PI;
+            return {
+                name: this.screwNames[screwIndex],
+                clock,
+                directionX: Math.sin(angle),
+                directionY: -Math.cos(angle)
+            };
+        });
+    }
+
+    /**
+     * Store the measured response of each screw of a group to a clockwise quarter turn
+     * Responses are {x, y} image movements in fractions of the circle_1 radius they were measured with.
+     */
+    setCalibration(group, responses, radius) {
+        this.updateSettings({
+            calibration: {
+                ...this.settings.calibration,
+                [group]: {
+                    screws: [...this.settings.screws[group]],
+                    responses,
+                    radius,
+                    date: new Date().toISOString()
+                }
+            }
+        });
+    }
+
+    /**
+     * Get the calibration of a screw group, or null if it is missing or the screws have changed
+     */
+    getCalibration(group) {
+        const calibration = this.settings.calibration[group];
+        const screws = this.settings.screws[group];
+
+        if (!calibration || calibration.screws.length !== screws.length ||
+            calibration.screws.some((clock, screwIndex) => clock !== screws[screwIndex])) {
+            return null;
+        }
+
+        return calibration;
+    }
+
+    /**
+     * Parse clock positions like "12, 4, 8" (3 or 4 values between 0 and 12)
+     * Returns null if the text is invalid.
+     */
+    parseClockPositions(text) {
+        const values = String(text).split(/[\s,;]+/).filter(value => value !== '').map(Number);
+
+        if (values.length < 3 || values.length > 4) {
+            return null;
+        }
+
+        if (values.some(value => !Number.isFinite(value) || value < 0 || value > 12)) {
+            return null;
+        }
+
+        return values;
+    }
+
+    /**
+     * Update settings, save them and notify listeners
+     */
+    updateSettings(newSettings) {
+        this.settings = {
+            ...this.settings,
+            ...newSettings,
+            screws: { ...this.settings.screws, ...(newSettings.screws || {}) }
+        };
+        this.saveSettings();
+
+        document.dispatchEvent(new CustomEvent('telescopeProfileChanged', {
+            detail: { settings: this.getSettings() }
+        }));
+    }
+
+    /**
+     * Get a copy of the current settings
+     */
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    /**
+     * Save current settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save telescope profile:', error);
+        }
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.settings = {
+                    ...this.settings,
+                    ...settings,
+                    screws: { ...this.settings.screws, ...(settings.screws || {}) },
+                    calibration: { ...this.settings.calibration, ...(settings.calibration || {}) }
+                };
+                return true;
+            }
+        } catch (error) {
+            console.warn('Failed to load telescope profile:', error);
+        }
+        return false;
+    }
+}
\ No newline at end of file
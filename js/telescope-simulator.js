@@ -0,0 +1,456 @@
+/**
+ * TelescopeSimulator - Virtual camera showing a Newtonian focuser view for practice and testing
+ *
+ * Renders the drawtube, the secondary with its spider vanes, the primary reflected in the
+ * secondary with its center spot, and the secondary reflected back in the primary, and streams
+ * the canvas like a camera (listed in cameraSelect through WebcamManager.registerSource()).
+ * Misalignment is set with collimation screws in the Simulator panel; rendering has no noise,
+ * so the same settings always give the same frames.
+ *
+ * Offsets and tilts are fractions of the drawtube radius in view coordinates (+x right, +y down):
+ * - secondaryOffset moves the secondary outline in the drawtube
+ * - secondaryTilt moves the primary reflection within the secondary
+ * - primaryTilt moves the secondary reflection away from the center spot
+ */
+class TelescopeSimulator {
+    constructor() {
+        this.id = 'simulator';
+        this.label = 'Telescope simulator';
+        this.storageKey = 'simulatorSettings';
+        this.elements = {
+            simulatorPanel: document.getElementById('simulatorPanel'),
+            simulatorScrews: document.getElementById('simulatorScrews'),
+            simOffsetXSlider: document.getElementById('simOffsetXSlider'),
+            simOffsetXValue: document.getElementById('simOffsetXValue'),
+            simOffsetYSlider: document.getElementById('simOffsetYSlider'),
+            simOffsetYValue: document.getElementById('simOffsetYValue'),
+            misalignSimBtn: document.getElementById('misalignSimBtn'),
+            collimateSimBtn: document.getElementById('collimateSimBtn')
+        };
+        this.settings = {
+            width: 1280,
+            height: 720,
+            frameRate: 15,
+            drawtubeRadius: 0.46,     // Fraction of the frame height
+            secondaryRadius: 0.62,    // The rest are fractions of the drawtube radius
+            primaryRadius: 0.5,
+            shadowRadius: 0.2,        // Secondary (and holder) reflected in the primary
+            screwStep: 0.01,          // Tilt per click of a collimation screw
+            maxTilt: 0.3,
+            maxOffset: 0.2
+        };
+        // Collimation screws at 12, 4 and 8 o'clock; tightening tilts the view towards the screw
+        this.screwAngles = [-90, 30, 150].map(degrees => degrees * Math.PI / 180);
+        this.alignment = this.getCollimatedAlignment();
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.settings.width;
+        this.canvas.height = this.settings.height;
+        this.canvasContext = this.canvas.getContext('2d');
+        this.stream = null;
+        this.renderIntervalId = null;
+    }
+
+    /**
+     * Initialize simulator controls
+     */
+    initialize() {
+        this.loadSettings();
+        this.createScrewControls();
+        this.setupEventListeners();
+        this.updateControls();
+        this.setPanelVisible(false);
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.simulatorScrews) {
+            this.elements.simulatorScrews.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-screw]');
+                if (button) {
+                    this.turnScrew(button.dataset.mirror, parseInt(button.dataset.screw, 10), parseInt(button.dataset.turn, 10));
+                }
+            });
+        }
+
+        if (this.elements.simOffsetXSlider) {
+            this.elements.simOffsetXSlider.addEventListener('input', (event) => {
+                this.setAlignment({ secondaryOffset: { ...this.alignment.secondaryOffset, x: parseFloat(event.target.value) / 100 } });
+            });
+        }
+
+        if (this.elements.simOffsetYSlider) {
+            this.elements.simOffsetYSlider.addEventListener('input', (event) => {
+                this.setAlignment({ secondaryOffset: { ...this.alignment.secondaryOffset, y: parseFloat(event.target.value) / 100 } });
+            });
+        }
+
+        if (this.elements.misalignSimBtn) {
+            this.elements.misalignSimBtn.addEventListener('click', () => {
+                this.misalign();
+            });
+        }
+
+        if (this.elements.collimateSimBtn) {
+            this.elements.collimateSimBtn.addEventListener('click', () => {
+                this.setAlignment(this.getCollimatedAlignment());
+            });
+        }
+
+        document.addEventListener('cameraStreamStarted', (event) => {
+            this.setPanelVisible(event.detail && event.detail.cameraId === this.id);
+        });
+
+        document.addEventListener('cameraStreamStopped', () => {
+            this.setPanelVisible(false);
+        });
+    }
+
+    /**
+     * Create the tighten/loosen buttons of the primary and secondary collimation screws
+     */
+    createScrewControls() {
+        const container = this.elements.simulatorScrews;
+        if (!container) return;
+
+        container.innerHTML = '';
+        [['primary', 'Primary'], ['secondary', 'Secondary']].forEach(([mirror, title]) => {
+            const row = document.createElement('div');
+            row.className = 'row g-1 align-items-center mb-1';
+
+            const labelColumn = document.createElement('div');
+            labelColumn.className = 'col-3';
+            labelColumn.innerHTML = `<small class="text-muted">${title}</small>`;
+            row.appendChild(labelColumn);
+
+            this.screwAngles.forEach((angle, screw) => {
+                const clock = ImageUtils.toClockPosition(Math.cos(angle), Math.sin(angle));
+                const column = document.createElement('div');
+                column.className = 'col-3 text-center';
+                column.innerHTML = `
+                    <div class="btn-group btn-group-sm w-100">
+                        <button type="button" class="btn btn-outline-secondary" data-mirror="${mirror}" data-screw="${screw}" data-turn="-1" title="Loosen the ${clock} o'clock screw">
+                            <i class="bi bi-arrow-counterclockwise"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary" data-mirror="${mirror}" data-screw="${screw}" data-turn="1" title="Tighten the ${clock} o'clock screw">
+                            <i class="bi bi-arrow-clockwise"></i>
+                        </button>
+                    </div>
+                    <small class="text-muted">${clock}</small>`;
+                row.appendChild(column);
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Start rendering and return the simulated camera stream (source interface)
+     */
+    async start() {
+        if (!this.canvas.captureStream) {
+            throw new Error('This browser cannot stream a canvas');
+        }
+
+        this.render();
+        this.stream = this.canvas.captureStream(this.settings.frameRate);
+        this.renderIntervalId = setInterval(() => {
+            this.render();
+        }, 1000 / this.settings.frameRate);
+
+        return this.stream;
+    }
+
+    /**
+     * Stop rendering (source interface)
+     */
+    stop() {
+        clearInterval(this.renderIntervalId);
+        this.renderIntervalId = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.stop();
+            });
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Get the alignment of a perfectly collimated telescope
+     */
+    getCollimatedAlignment() {
+        return {
+            secondaryOffset: { x: 0, y: 0 },
+            secondaryTilt: { x: 0, y: 0 },
+            primaryTilt: { x: 0, y: 0 }
+        };
+    }
+
+    /**
+     * Turn a collimation screw by a number of clicks (positive tightens)
+     */
+    turnScrew(mirror, screw, clicks) {
+        const key = mirror === 'secondary' ? 'secondaryTilt' : 'primaryTilt';
+        const angle = this.screwAngles[screw];
+        if (angle === undefined) return;
+
+        const step = this.settings.screwStep * clicks;
+        this.setAlignment({
+            [key]: {
+                x: this.alignment[key].x + Math.cos(angle) * step,
+                y: this.alignment[key].y + Math.sin(angle) * step
+            }
+        });
+    }
+
+    /**
+     * Set a random misalignment to practice on
+     */
+    misalign() {
+        const randomVector = (maximum) => {
+            const angle = Math.random() * 2 * Math.PI;
+            const length = maximum * (0.3 + 0.7 * Math.random());
+            return { x: Math.cos(angle) * length, y: Math.sin(angle) * length };
+        };
+
+        this.setAlignment({
+            secondaryOffset: randomVector(this.settings.maxOffset / 2),
+            secondaryTilt: randomVector(this.settings.maxTilt / 2),
+            primaryTilt: randomVector(this.settings.maxTilt / 2)
+        });
+    }
+
+    /**
+     * Update the alignment (clamped), redraw and save it
+     */
+    setAlignment(alignment) {
+        const clamp = (vector, maximum) => {
+            const length = Math.hypot(vector.x, vector.y);
+            return length > maximum ? { x: vector.x * maximum / length, y: vector.y * maximum / length } : { x: vector.x, y: vector.y };
+        };
+
+        const merged = { ...this.alignment, ...alignment };
+        this.alignment = {
+            secondaryOffset: {
+                x: Math.max(-this.settings.maxOffset, Math.min(this.settings.maxOffset, merged.secondaryOffset.x)),
+                y: Math.max(-this.settings.maxOffset, Math.min(this.settings.maxOffset, merged.secondaryOffset.y))
+            },
+            secondaryTilt: clamp(merged.secondaryTilt, this.settings.maxTilt),
+            primaryTilt: clamp(merged.primaryTilt, this.settings.maxTilt)
+        };
+
+        this.saveSettings();
+        this.updateControls();
+        if (this.stream) {
+            this.render();
+        }
+    }
+
+    /**
+     * Draw the focuser view for the current alignment
+     */
+    render() {
+        const context = this.canvasContext;
+        const { width, height } = this.canvas;
+        const tubeRadius = height * this.settings.drawtubeRadius;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const { secondaryOffset, secondaryTilt, primaryTilt } = this.alignment;
+
+        const secondary = {
+            x: centerX + secondaryOffset.x * tubeRadius,
+            y: centerY + secondaryOffset.y * tubeRadius,
+            radius: this.settings.secondaryRadius * tubeRadius
+        };
+        const primary = {
+            x: centerX + secondaryTilt.x * tubeRadius,
+            y: centerY + secondaryTilt.y * tubeRadius,
+            radius: this.settings.primaryRadius * tubeRadius
+        };
+        const shadow = {
+            x: primary.x + primaryTilt.x * tubeRadius,
+            y: primary.y + primaryTilt.y * tubeRadius,
+            radius: this.settings.shadowRadius * tubeRadius
+        };
+
+        // Outside the drawtube: the end of the sight tube
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, width, height);
+
+        // Far tube wall seen past the secondary, with the spider vanes holding it
+        this.fillCircle(centerX, centerY, tubeRadius, '#20242a');
+        this.drawVanes(secondary.x, secondary.y, tubeRadius * 1.2, '#0b0d10', 6, centerX, centerY, tubeRadius);
+
+        // Drawtube rim
+        context.strokeStyle = '#3d434c';
+        context.lineWidth = tubeRadius * 0.04;
+        this.strokeCircle(centerX, centerY, tubeRadius - context.lineWidth / 2);
+
+        // Secondary, reflecting the tube wall around the primary
+        this.fillCircle(secondary.x, secondary.y, secondary.radius, '#3a414b');
+
+        context.save();
+        this.clipCircle(secondary.x, secondary.y, secondary.radius);
+
+        // Primary reflection, lit by the sky
+        const gradient = context.createRadialGradient(primary.x, primary.y, 0, primary.x, primary.y, primary.radius);
+        gradient.addColorStop(0, '#d6dde4');
+        gradient.addColorStop(1, '#98a2ad');
+        this.fillCircle(primary.x, primary.y, primary.radius, gradient);
+        this.drawMirrorClips(primary);
+
+        context.save();
+        this.clipCircle(primary.x, primary.y, primary.radius);
+
+        // Secondary and spider reflected in the primary, with the bright sight tube face in the middle
+        this.drawVanes(shadow.x, shadow.y, primary.radius * 2, '#15181c', 4);
+        this.fillCircle(shadow.x, shadow.y, shadow.radius, '#111418');
+        this.fillCircle(shadow.x, shadow.y, shadow.radius * 0.45, '#6e7681');
+        this.fillCircle(shadow.x, shadow.y, shadow.radius * 0.12, '#050607');
+
+        // Center spot on the primary
+        context.strokeStyle = '#f0f6fc';
+        context.lineWidth = tubeRadius * 0.012;
+        this.strokeCircle(primary.x, primary.y, tubeRadius * 0.03);
+        this.fillCircle(primary.x, primary.y, tubeRadius * 0.012, '#f0f6fc');
+
+        context.restore();
+        context.restore();
+
+        // Secondary edge
+        context.strokeStyle = '#161a1f';
+        context.lineWidth = 3;
+        this.strokeCircle(secondary.x, secondary.y, secondary.radius);
+    }
+
+    /**
+     * Draw the four spider vanes through a point, optionally only inside the drawtube
+     */
+    drawVanes(x, y, length, color, lineWidth, tubeX = null, tubeY = null, tubeRadius = null) {
+        const context = this.canvasContext;
+        context.save();
+        if (tubeRadius !== null) {
+            this.clipCircle(tubeX, tubeY, tubeRadius);
+        }
+
+        context.strokeStyle = color;
+        context.lineWidth = lineWidth;
+        context.beginPath();
+        context.moveTo(x - length, y);
+        context.lineTo(x + length, y);
+        context.moveTo(x, y - length);
+        context.lineTo(x, y + length);
+        context.stroke();
+        context.restore();
+    }
+
+    /**
+     * Draw the three mirror clips at the primary's edge
+     */
+    drawMirrorClips(primary) {
+        const context = this.canvasContext;
+        context.fillStyle = '#2b3036';
+
+        this.screwAngles.forEach(angle => {
+            context.save();
+            context.translate(primary.x + Math.cos(angle) * primary.radius, primary.y + Math.sin(angle) * primary.radius);
+            context.rotate(angle);
+            context.fillRect(-primary.radius * 0.06, -primary.radius * 0.08, primary.radius * 0.1, primary.radius * 0.16);
+            context.restore();
+        });
+    }
+
+    /**
+     * Fill a circle
+     */
+    fillCircle(x, y, radius, style) {
+        this.canvasContext.fillStyle = style;
+        this.canvasContext.beginPath();
+        this.canvasContext.arc(x, y, radius, 0, 2 * Math.PI);
+        this.canvasContext.fill();
+    }
+
+    /**
+     * Stroke a circle with the current stroke style
+     */
+    strokeCircle(x, y, radius) {
+        this.canvasContext.beginPath();
+        this.canvasContext.arc(x, y, radius, 0, 2 * Math.PI);
+        this.canvasContext.stroke();
+    }
+
+    /**
+     * Restrict drawing to a circle (call inside save/restore)
+     */
+    clipCircle(x, y, radius) {
+        this.canvasContext.beginPath();
+        this.canvasContext.arc(x, y, radius, 0, 2 * Math.PI);
+        this.canvasContext.clip();
+    }
+
+    /**
+     * Show the simulator controls only while the simulator is running
+     */
+    setPanelVisible(visible) {
+        if (this.elements.simulatorPanel) {
+            this.elements.simulatorPanel.style.display = visible ? '' : 'none';
+        }
+    }
+
+    /**
+     * Show the secondary offset in the controls
+     */
+    updateControls() {
+        const offsetX = Math.round(this.alignment.secondaryOffset.x * 100);
+        const offsetY = Math.round(this.alignment.secondaryOffset.y * 100);
+
+        if (this.elements.simOffsetXSlider) {
+            this.elements.simOffsetXSlider.value = offsetX;
+        }
+        if (this.elements.simOffsetXValue) {
+            this.elements.simOffsetXValue.textContent = offsetX;
+        }
+        if (this.elements.simOffsetYSlider) {
+            this.elements.simOffsetYSlider.value = offsetY;
+        }
+        if (this.elements.simOffsetYValue) {
+            this.elements.simOffsetYValue.textContent = offsetY;
+        }
+    }
+
+    /**
+     * Save the simulated alignment to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.alignment));
+        } catch (error) {
+            console.warn('Failed to save simulator settings:', error);
+        }
+    }
+
+    /**
+     * Load the simulated alignment from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const alignment = JSON.parse(saved);
+                const isVector = (vector) => vector && Number.isFinite(vector.x) && Number.isFinite(vector.y);
+                if (isVector(alignment.secondaryOffset) && isVector(alignment.secondaryTilt) && isVector(alignment.primaryTilt)) {
+                    this.alignment = {
+                        secondaryOffset: alignment.secondaryOffset,
+                        secondaryTilt: alignment.secondaryTilt,
+                        primaryTilt: alignment.primaryTilt
+                    };
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load simulator settings:', error);
+        }
+    }
+}
\ No newline at end of file
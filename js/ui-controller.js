@@ -13,6 +13,7 @@ class UIController {
             isStarted: false,
             currentStatus: 'Ready',
             selectedCamera: null,
+            source: null,       // Running non-camera source (e.g. an image or video file)
             videoQuality: '720p'
         };
     }
@@ -26,6 +27,9 @@ class UIController {
             cameraSelect: document.getElementById('cameraSelect'),
             startStopBtn: document.getElementById('startStopBtn'),
             videoQuality: document.getElementById('videoQuality'),
+            openFileBtn: document.getElementById('openFileBtn'),
+            sourceFileInput: document.getElementById('sourceFileInput'),
+            webcamContainer: document.getElementById('webcamContainer'),
             
             // Status and display
             statusText: document.getElementById('statusText'),
@@ -91,6 +95,7 @@ class UIController {
         this.setupWebcamEvents();
         this.setupKeyboardShortcuts();
         this.setupCrosshairEvents();
+        this.setupStatusEvents();
     }
 
     /**
@@ -115,6 +120,58 @@ class UIController {
                 this.restartWithNewSettings();
             }
         });
+
+        // Image or video file instead of a camera, picked or dropped on the video area
+        if (this.elements.openFileBtn && this.elements.sourceFileInput) {
+            this.elements.openFileBtn.addEventListener('click', () => {
+                this.elements.sourceFileInput.click();
+            });
+
+            this.elements.sourceFileInput.addEventListener('change', (event) => {
+                const file = event.target.files[0];
+                event.target.value = '';
+                if (file) {
+                    this.openFile(file);
+                }
+            });
+        }
+
+        if (this.elements.webcamContainer) {
+            this.elements.webcamContainer.addEventListener('dragover', (event) => {
+                if (event.dataTransfer.types.includes('Files')) {
+                    event.preventDefault();
+                    this.elements.webcamContainer.classList.add('drag-over');
+                }
+            });
+
+            this.elements.webcamContainer.addEventListener('dragleave', () => {
+                this.elements.webcamContainer.classList.remove('drag-over');
+            });
+
+            this.elements.webcamContainer.addEventListener('drop', (event) => {
+                event.preventDefault();
+                this.elements.webcamContainer.classList.remove('drag-over');
+                const file = event.dataTransfer.files[0];
+                if (file) {
+                    this.openFile(file);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show an image or video file in place of the camera
+     */
+    async openFile(file) {
+        if (!MediaFileSource.isSupported(file)) {
+            this.showError(`${file.name} is not an image or video file`);
+            return;
+        }
+
+        if (this.state.isStarted) {
+            await this.stopWebcam();
+        }
+        await this.startWebcam(new MediaFileSource(file));
     }
 
     /**
@@ -231,6 +288,14 @@ class UIController {
         document.addEventListener('webcamError', (event) => {
             this.onWebcamError(event.detail);
         });
+
+        // A source ended on its own, e.g. screen sharing stopped from the browser
+        document.addEventListener('sourceEnded', async (event) => {
+            if (this.state.isStarted) {
+                await this.stopWebcam();
+                this.updateStatus(event.detail.message, 'warning');
+            }
+        });
     }
 
     /**
@@ -254,6 +319,19 @@ class UIController {
         }
     }
 
+    /**
+     * Setup status message events from other components
+     */
+    setupStatusEvents() {
+        document.addEventListener('statusMessage', (event) => {
+            if (event.detail.type === 'danger') {
+                this.showError(event.detail.message);
+            } else {
+                this.updateStatus(event.detail.message, event.detail.type);
+            }
+        });
+    }
+
     /**
      * Load available cameras
      */
@@ -308,6 +386,8 @@ class UIController {
         manualOption.value = 'default';
         manualOption.textContent = 'Default Camera (Manual)';
         this.elements.cameraSelect.appendChild(manualOption);
+
+        this.addSourceOptions();
         
 
     }
@@ -324,6 +404,7 @@ class UIController {
             option.value = '';
             option.textContent = 'No cameras available';
             this.elements.cameraSelect.appendChild(option);
+            this.addSourceOptions();
             this.elements.startStopBtn.disabled = true;
             return;
         }
@@ -341,6 +422,7 @@ class UIController {
             option.textContent = camera.label || `Camera ${index + 1}`;
             this.elements.cameraSelect.appendChild(option);
         });
+        this.addSourceOptions();
 
         // Auto-select first camera if available
         if (cameras.length > 0) {
@@ -355,6 +437,24 @@ class UIController {
         }
     }
 
+    /**
+     * List the built-in sources (e.g. the simulator) after the cameras
+     */
+    addSourceOptions() {
+        const sources = this.webcamManager.getSources();
+        if (sources.length === 0) return;
+
+        const group = document.createElement('optgroup');
+        group.label = 'Other sources';
+        sources.forEach(source => {
+            const option = document.createElement('option');
+            option.value = source.id;
+            option.textContent = source.label;
+            group.appendChild(option);
+        });
+        this.elements.cameraSelect.appendChild(group);
+    }
+
     /**
      * Enable start button when camera is selected
      */
@@ -375,18 +475,23 @@ class UIController {
     }
 
     /**
-     * Start webcam
+     * Start webcam, or a non-camera source when one is given
      */
-    async startWebcam() {
+    async startWebcam(source = null) {
         try {
-            this.updateStatus('Starting camera...', 'info');
+            this.updateStatus(source ? `Opening ${source.label}...` : 'Starting camera...', 'info');
             this.setLoadingState(true);
 
-            await this.webcamManager.startWebcam(this.state.selectedCamera, this.state.videoQuality);
+            if (source) {
+                await this.webcamManager.startSource(source, this.state.videoQuality);
+            } else {
+                await this.webcamManager.startWebcam(this.state.selectedCamera, this.state.videoQuality);
+            }
             
             this.state.isStarted = true;
+            this.state.source = source;
             this.updateUI();
-            this.updateStatus('Camera started successfully', 'success');
+            this.updateStatus(source ? `Showing ${source.label}` : 'Camera started successfully', 'success');
             
             // Notify controllers about camera state change
             if (this.crosshairController) {
@@ -398,7 +503,7 @@ class UIController {
             
         } catch (error) {
             console.error('Error starting webcam:', error);
-            this.showError('Failed to start camera');
+            this.showError(source ? `Failed to open ${source.label}` : 'Failed to start camera');
             this.setLoadingState(false);
         }
     }
@@ -414,6 +519,7 @@ class UIController {
             this.overlayRenderer.stopRendering();
             
             this.state.isStarted = false;
+            this.state.source = null;
             this.updateUI();
             this.updateStatus('Camera stopped', 'info');
             
@@ -441,7 +547,8 @@ class UIController {
      * Restart webcam with new settings
      */
     async restartWithNewSettings() {
-        if (this.state.isStarted) {
+        // Files, the simulator and screen capture keep their own resolution
+        if (this.state.isStarted && !this.webcamManager.source) {
             await this.stopWebcam();
             setTimeout(() => {
                 this.startWebcam();
@@ -455,7 +562,8 @@ class UIController {
     onWebcamLoaded(videoInfo) {
 
         this.setLoadingState(false);
-        this.updateStatus('Camera active', 'success');
+        const source = this.webcamManager.source;
+        this.updateStatus(source ? `Showing ${source.label}` : 'Camera active', 'success');
         
         // Reset focus control visibility - will be shown if supported
         this.resetFocusControlVisibility();
@@ -0,0 +1,233 @@
+/**
+ * ViewModeController - Remaps the processed frame for viewing: channel isolation, luminance,
+ * invert and false color
+ *
+ * Runs as the last, display-only ImagePipeline stage, so the analyzers keep reading the
+ * unmapped frame. V cycles through the modes (Shift+V backwards).
+ */
+class ViewModeController {
+    constructor() {
+        this.storageKey = 'viewMode';
+        this.displayOnly = true;
+        this.elements = {
+            viewModeSelect: document.getElementById('viewModeSelect'),
+            paletteSelect: document.getElementById('paletteSelect'),
+            paletteRow: document.getElementById('paletteRow')
+        };
+        this.modes = {
+            normal: 'Normal',
+            red: 'Red channel',
+            green: 'Green channel',
+            blue: 'Blue channel',
+            luminance: 'Luminance',
+            invert: 'Inverted',
+            falseColor: 'False color'
+        };
+        // Color stops from black level to white level
+        this.palettes = {
+            heat: ['#000000', '#5a0000', '#d42000', '#ff9900', '#ffee55', '#ffffff'],
+            rainbow: ['#00007f', '#0000ff', '#00ffff', '#00ff00', '#ffff00', '#ff0000', '#7f0000'],
+            viridis: ['#440154', '#414487', '#2a788e', '#22a884', '#7ad151', '#fde725'],
+            ice: ['#000000', '#0b1f4d', '#1f5fa8', '#55b0e0', '#c8f0ff', '#ffffff']
+        };
+        this.settings = {
+            mode: 'normal',
+            palette: 'heat'
+        };
+        this.paletteTable = null; // 256 RGB entries of the selected palette
+    }
+
+    /**
+     * Initialize view modes
+     */
+    initialize() {
+        this.loadSettings();
+        this.setupEventListeners();
+        this.updateControls();
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.viewModeSelect) {
+            this.elements.viewModeSelect.addEventListener('change', (event) => {
+                this.setMode(event.target.value);
+            });
+        }
+
+        if (this.elements.paletteSelect) {
+            this.elements.paletteSelect.addEventListener('change', (event) => {
+                this.setPalette(event.target.value);
+            });
+        }
+
+        document.addEventListener('keydown', (event) => {
+            if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
+                return;
+            }
+            if (event.code === 'KeyV' && !event.ctrlKey && !event.altKey && !event.metaKey) {
+                event.preventDefault();
+                this.cycleMode(event.shiftKey ? -1 : 1);
+            }
+        });
+    }
+
+    /**
+     * Switch to a view mode
+     */
+    setMode(mode) {
+        if (!this.modes[mode]) return;
+
+        this.settings.mode = mode;
+        this.saveSettings();
+        this.updateControls();
+    }
+
+    /**
+     * Step to the next (1) or previous (-1) view mode
+     */
+    cycleMode(step) {
+        const modeNames = Object.keys(this.modes);
+        const index = modeNames.indexOf(this.settings.mode);
+        const mode = modeNames[(index + step + modeNames.length) % modeNames.length];
+
+        this.setMode(mode);
+        StatusMessages.dispatch(`View: ${this.modes[mode]}`);
+    }
+
+    /**
+     * Select the false color palette
+     */
+    setPalette(palette) {
+        if (!this.palettes[palette]) return;
+
+        this.settings.palette = palette;
+        this.paletteTable = null;
+        this.saveSettings();
+        this.updateControls();
+    }
+
+    /**
+     * Check if the stage should run (pipeline stage interface)
+     */
+    isActive() {
+        return this.settings.mode !== 'normal';
+    }
+
+    /**
+     * Remap a frame in place (pipeline stage interface)
+     */
+    process(imageData) {
+        const data = imageData.data;
+        const mode = this.settings.mode;
+
+        if (mode === 'invert') {
+            for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+                data[dataIndex] = 255 - data[dataIndex];
+                data[dataIndex + 1] = 255 - data[dataIndex + 1];
+                data[dataIndex + 2] = 255 - data[dataIndex + 2];
+            }
+            return imageData;
+        }
+
+        // Single channel views are shown as gray, false color maps luminance through the palette
+        const channel = { red: 0, green: 1, blue: 2 }[mode];
+        const paletteTable = mode === 'falseColor' ? this.getPaletteTable() : null;
+
+        for (let dataIndex = 0; dataIndex < data.length; dataIndex += 4) {
+            const value = channel !== undefined ?
+                data[dataIndex + channel] :
+                Math.round(data[dataIndex] * 0.299 + data[dataIndex + 1] * 0.587 + data[dataIndex + 2] * 0.114);
+
+            if (paletteTable) {
+                data[dataIndex] = paletteTable[value * 3];
+                data[dataIndex + 1] = paletteTable[value * 3 + 1];
+                data[dataIndex + 2] = paletteTable[value * 3 + 2];
+            } else {
+                data[dataIndex] = value;
+                data[dataIndex + 1] = value;
+                data[dataIndex + 2] = value;
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Get the selected palette as a 256 entry RGB table, interpolating between its color stops
+     */
+    getPaletteTable() {
+        if (this.paletteTable) {
+            return this.paletteTable;
+        }
+
+        const stops = this.palettes[this.settings.palette].map(color => [
+            parseInt(color.slice(1, 3), 16),
+            parseInt(color.slice(3, 5), 16),
+            parseInt(color.slice(5, 7), 16)
+        ]);
+        const table = new Uint8ClampedArray(256 * 3);
+
+        for (let value = 0; value < 256; value++) {
+            const position = value / 255 * (stops.length - 1);
+            const index = Math.min(stops.length - 2, Math.floor(position));
+            const fraction = position - index;
+
+            for (let component = 0; component < 3; component++) {
+                table[value * 3 + component] =
+                    stops[index][component] + (stops[index + 1][component] - stops[index][component]) * fraction;
+            }
+        }
+
+        this.paletteTable = table;
+        return table;
+    }
+
+    /**
+     * Show the view mode in the controls
+     */
+    updateControls() {
+        if (this.elements.viewModeSelect) {
+            this.elements.viewModeSelect.value = this.settings.mode;
+        }
+        if (this.elements.paletteSelect) {
+            this.elements.paletteSelect.value = this.settings.palette;
+        }
+        if (this.elements.paletteRow) {
+            this.elements.paletteRow.style.display = this.settings.mode === 'falseColor' ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Save view mode settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save view mode:', error);
+        }
+    }
+
+    /**
+     * Load view mode settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                if (this.modes[settings.mode]) {
+                    this.settings.mode = settings.mode;
+                }
+                if (this.palettes[settings.palette]) {
+                    this.settings.palette = settings.palette;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load view mode:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -4,6 +4,8 @@
 class WebcamManager {
     constructor() {
         this.stream = null;
+        this.source = null; // Non-camera input (e.g. a file) providing the stream
+        this.sources = [];  // Built-in sources listed with the cameras (e.g. the simulator)
         this.video = document.getElementById('webcamVideo');
         this.isActive = false;
         this.availableCameras = [];
@@ -22,14 +24,16 @@ class WebcamManager {
      * Initialize the webcam manager
      */
     async initialize() {
+        this.setupVideoElement();
+
+        // Without cameras the built-in sources (simulator, files, ...) still work
         try {
             await this.loadAvailableCameras();
-            this.setupVideoElement();
-            return true;
         } catch (error) {
-            console.error('Failed to initialize webcam manager:', error);
-            throw error;
+            console.error('Failed to load cameras:', error);
+            this.availableCameras = [];
         }
+        return true;
     }
 
     /**
@@ -74,7 +78,7 @@ class WebcamManager {
             console.error('Error in loadAvailableCameras:', error);
             
             // Try fallback method
-            return await this.loadCamerasWithFallback(error);
+            return await this.loadCamerasFallback(error);
         }
     }
 
@@ -124,6 +128,11 @@ class WebcamManager {
      * Start webcam with selected camera
      */
     async startWebcam(cameraId = null, quality = '720p') {
+        const source = this.sources.find(registered => registered.id === cameraId);
+        if (source) {
+            return this.startSource(source, quality);
+        }
+
         try {
             if (this.isActive) {
                 await this.stopWebcam();
@@ -166,11 +175,63 @@ class WebcamManager {
         }
     }
 
+    /**
+     * Add a built-in source that can be selected like a camera (see TelescopeSimulator)
+     */
+    registerSource(source) {
+        this.sources.push(source);
+    }
+
+    /**
+     * Get the built-in sources
+     */
+    getSources() {
+        return this.sources;
+    }
+
+    /**
+     * Start streaming from a non-camera source (see MediaFileSource)
+     */
+    async startSource(source, quality = '720p') {
+        try {
+            if (this.isActive) {
+                await this.stopWebcam();
+            }
+
+            this.stream = await source.start();
+            this.source = source;
+            this.currentCameraId = source.id;
+            this.video.srcObject = this.stream;
+
+            await this.video.play();
+            this.isActive = true;
+
+            document.dispatchEvent(new CustomEvent('cameraStreamStarted', {
+                detail: { cameraId: this.currentCameraId, quality: quality, source: source.label }
+            }));
+
+            return true;
+        } catch (error) {
+            console.error('Error starting source:', error);
+            source.stop();
+            this.source = null;
+            this.stream = null;
+            this.handleError(error.message || `Cannot open ${source.label}`);
+            throw error;
+        }
+    }
+
     /**
      * Stop webcam
      */
     async stopWebcam() {
         try {
+            if (this.source) {
+                this.source.stop();
+                this.source = null;
+                this.stream = null;
+            }
+
             if (this.stream) {
                 this.stream.getTracks().forEach(track => {
                     track.stop();
@@ -274,6 +335,9 @@ class WebcamManager {
      * Get current camera info
      */
     getCurrentCamera() {
+        if (this.source) {
+            return { deviceId: this.source.id, label: this.source.label, kind: 'source' };
+        }
         return this.availableCameras.find(cam => cam.deviceId === this.currentCameraId);
     }
 
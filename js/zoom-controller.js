@@ -141,6 +141,7 @@ class ZoomController {
 
             this.constrainTranslation();
             this.updateTransform();
+            this.dispatchZoomEvent();
 
             this.lastMouseX = event.clientX;
             this.lastMouseY = event.clientY;
@@ -267,6 +268,47 @@ class ZoomController {
         };
     }
 
+    /**
+     * Convert a point from content coordinates (unzoomed video/overlay space) to container coordinates
+     */
+    contentToContainer(x, y) {
+        const containerCenterX = this.container.clientWidth / 2;
+        const containerCenterY = this.container.clientHeight / 2;
+
+        return {
+            x: containerCenterX + this.translateX + (x - containerCenterX) * this.scale,
+            y: containerCenterY + this.translateY + (y - containerCenterY) * this.scale
+        };
+    }
+
+    /**
+     * Convert a point from container coordinates to content coordinates (unzoomed video/overlay space)
+     */
+    containerToContent(x, y) {
+        const containerCenterX = this.container.clientWidth / 2;
+        const containerCenterY = this.container.clientHeight / 2;
+
+        return {
+            x: containerCenterX + (x - containerCenterX - this.translateX) / this.scale,
+            y: containerCenterY + (y - containerCenterY - this.translateY) / this.scale
+        };
+    }
+
+    /**
+     * Get the part of the content currently visible in the container
+     */
+    getVisibleContentRect() {
+        const topLeft = this.containerToContent(0, 0);
+        const bottomRight = this.containerToContent(this.container.clientWidth, this.container.clientHeight);
+
+        return {
+            x: topLeft.x,
+            y: topLeft.y,
+            width: bottomRight.x - topLeft.x,
+            height: bottomRight.y - topLeft.y
+        };
+    }
+
     /**
      * Dispatch zoom change event
      */